@@ -0,0 +1,540 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load environment variables from the project directory
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+// Central configuration
+// Every setting is read from the environment here, once, and parsed into typed values. Problems
+// are collected rather than thrown so startup can report all of them at once (see assertConfig):
+// errors stop the server, warnings are logged. Modules read `config` instead of process.env.
+const errors = [];
+const warnings = [];
+
+const raw = (name) => {
+  const value = process.env[name];
+  return value === undefined || value.trim() === '' ? undefined : value.trim();
+};
+
+const str = (name, fallback = null) => raw(name) ?? fallback;
+
+const num = (name, fallback, { min = 0, max = Infinity, integer = true } = {}) => {
+  const value = raw(name);
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed)) || parsed < min || parsed > max) {
+    errors.push(`${name} must be ${integer ? 'a whole number' : 'a number'}${max < Infinity ? ` between ${min} and ${max}` : ` of at least ${min}`} (got "${value}")`);
+    return fallback;
+  }
+  return parsed;
+};
+
+const bool = (name, fallback) => {
+  const value = raw(name);
+  if (value === undefined) return fallback;
+  if (/^(true|1|yes)$/i.test(value)) return true;
+  if (/^(false|0|no)$/i.test(value)) return false;
+  errors.push(`${name} must be true or false (got "${value}")`);
+  return fallback;
+};
+
+const oneOf = (name, values, fallback) => {
+  const value = raw(name);
+  if (value === undefined) return fallback;
+  if (!values.includes(value)) {
+    errors.push(`${name} must be one of ${values.join(', ')} (got "${value}")`);
+    return fallback;
+  }
+  return value;
+};
+
+const list = (name, fallback = []) => {
+  const value = raw(name);
+  return value === undefined ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const url = (name, fallback = null) => {
+  const value = raw(name);
+  if (value === undefined) return fallback;
+  try {
+    new URL(value);
+    return value.replace(/\/$/, '');
+  } catch (error) {
+    errors.push(`${name} must be an absolute URL (got "${value}")`);
+    return fallback;
+  }
+};
+
+const email = (name, fallback = null) => {
+  const value = raw(name);
+  if (value === undefined) return fallback;
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    errors.push(`${name} must be an email address (got "${value}")`);
+    return fallback;
+  }
+  return value;
+};
+
+// Durations such as 30s, 15m, 72h or 7d
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+  return match ? Math.round(Number(match[1]) * DURATION_UNITS[match[2]]) : null;
+};
+
+// A rate limit as "count/period", e.g. 10/1h
+const rateLimit = (name, fallback) => {
+  const value = raw(name) ?? fallback;
+  const match = value.match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+  if (!match) {
+    errors.push(`${name} must be count/period, e.g. 10/1h (got "${value}")`);
+    return rateLimit('', fallback);
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2] || 1) * DURATION_UNITS[match[3]] };
+};
+
+// Settings that must be present: an error in production, a warning elsewhere
+const need = (condition, message) => {
+  if (condition) return;
+  (isProduction ? errors : warnings).push(message);
+};
+
+const environment = raw('NODE_ENV') || 'development';
+const isProduction = environment === 'production';
+const port = num('PORT', 3001, { min: 1, max: 65535 });
+
+// Server
+
+// Rate limits are per client IP, so take it from X-Forwarded-For when running behind a load balancer.
+// TRUST_PROXY is the number of proxy hops (default 1 in production, none otherwise) or an Express trust setting.
+const trustProxySetting = raw('TRUST_PROXY') ?? (isProduction ? '1' : null);
+
+// The README used to call these PRODUCTION_FRONTEND_URL / PRODUCTION_BACKEND_URL; both names work
+const aliased = (name, legacyName) => {
+  if (raw(name) === undefined && raw(legacyName) !== undefined) {
+    warnings.push(`${legacyName} is deprecated - rename it to ${name}`);
+    return url(legacyName);
+  }
+  return url(name);
+};
+
+const publicBaseUrl = url('PUBLIC_BASE_URL');
+const server = {
+  environment,
+  isProduction,
+  port,
+  trustProxy: trustProxySetting === null ? false : /^\d+$/.test(trustProxySetting) ? Number(trustProxySetting) : trustProxySetting,
+  // Base URL of this API, used in emailed document links
+  publicBaseUrl: publicBaseUrl || `http://localhost:${port}`,
+  // Where Cashfree sends the customer after checkout
+  frontendUrl: aliased('FRONTEND_URL', 'PRODUCTION_FRONTEND_URL') || 'http://localhost:5173',
+  // Where Cashfree sends payment webhooks
+  backendUrl: aliased('BACKEND_URL', 'PRODUCTION_BACKEND_URL') || publicBaseUrl || `http://localhost:${port}`,
+  uploadsDir: isProduction ? '/tmp/uploads' : path.join(__dirname, 'uploads')
+};
+need(publicBaseUrl, 'PUBLIC_BASE_URL is not set - emailed document links will point at localhost');
+need(raw('FRONTEND_URL') || raw('PRODUCTION_FRONTEND_URL'), 'FRONTEND_URL is not set - customers will return to http://localhost:5173 after payment');
+
+// Cashfree
+const cashfreeEnvironment = oneOf('CASHFREE_ENVIRONMENT', ['PROD', 'TEST'], 'TEST');
+const cashfree = {
+  appId: str('CASHFREE_APP_ID'),
+  secretKey: str('CASHFREE_SECRET_KEY'),
+  environment: cashfreeEnvironment,
+  baseUrl: url('CASHFREE_BASE_URL') || (cashfreeEnvironment === 'PROD'
+    ? 'https://api.cashfree.com/pg'
+    : 'https://sandbox.cashfree.com/pg')
+};
+if (cashfreeEnvironment === 'PROD' && !isProduction) {
+  warnings.push('CASHFREE_ENVIRONMENT is PROD outside production - payments will be real');
+}
+if (!cashfree.appId || !cashfree.secretKey) {
+  const message = 'CASHFREE_APP_ID and CASHFREE_SECRET_KEY are required - payments and webhook verification will fail';
+  (isProduction || cashfreeEnvironment === 'PROD' ? errors : warnings).push(message);
+}
+
+// Mail
+// Settings for a transport; the failover transport uses the same names with a FAILOVER_ prefix
+const MAIL_TRANSPORTS = ['gmail', 'smtp', 'oauth2', 'http', 'file', 'stream'];
+
+const mailTransportSettings = (type, prefix) => {
+  const variable = name => `${prefix}${name}`;
+  const settings = {
+    gmail: () => ({
+      user: str(variable('EMAIL_USER')),
+      pass: str(variable('EMAIL_PASS'))
+    }),
+    smtp: () => ({
+      host: str(variable('SMTP_HOST')),
+      port: num(variable('SMTP_PORT'), 587, { min: 1, max: 65535 }),
+      // true for port 465, false for STARTTLS
+      secure: bool(variable('SMTP_SECURE'), false),
+      requireTLS: bool(variable('SMTP_REQUIRE_TLS'), false),
+      user: str(variable('SMTP_USER')),
+      pass: str(variable('SMTP_PASS')),
+      tlsRejectUnauthorized: bool(variable('SMTP_TLS_REJECT_UNAUTHORIZED'), true),
+      tlsMinVersion: str(variable('SMTP_TLS_MIN_VERSION'), 'TLSv1.2'),
+      tlsServername: str(variable('SMTP_TLS_SERVERNAME')),
+      pool: bool(variable('SMTP_POOL'), false)
+    }),
+    oauth2: () => ({
+      user: str(variable('EMAIL_USER')),
+      clientId: str(variable('MAIL_OAUTH_CLIENT_ID')),
+      clientSecret: str(variable('MAIL_OAUTH_CLIENT_SECRET')),
+      refreshToken: str(variable('MAIL_OAUTH_REFRESH_TOKEN'))
+    }),
+    http: () => ({
+      url: url(variable('MAIL_HTTP_URL')),
+      apiKey: str(variable('MAIL_HTTP_API_KEY')),
+      timeout: num(variable('MAIL_HTTP_TIMEOUT'), 30000, { min: 1 })
+    }),
+    file: () => ({
+      directory: str(variable('MAIL_FILE_DIR'), path.join(__dirname, 'mail-outbox'))
+    }),
+    stream: () => ({})
+  }[type]();
+
+  const required = {
+    gmail: ['EMAIL_USER', 'EMAIL_PASS'],
+    smtp: ['SMTP_HOST'],
+    oauth2: ['EMAIL_USER', 'MAIL_OAUTH_CLIENT_ID', 'MAIL_OAUTH_CLIENT_SECRET', 'MAIL_OAUTH_REFRESH_TOKEN'],
+    http: ['MAIL_HTTP_URL']
+  }[type] || [];
+  const missing = required.map(variable).filter(name => raw(name) === undefined);
+  if (missing.length > 0) {
+    const message = `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required for the ${type} mail transport`;
+    // The http transport can't even be created without its URL
+    (isProduction || type === 'http' ? errors : warnings).push(message);
+  }
+  if (['file', 'stream'].includes(type) && isProduction) {
+    warnings.push(`The ${prefix ? 'failover' : 'primary'} mail transport is ${type} in production - emails are not delivered`);
+  }
+
+  return { type, ...settings };
+};
+
+const mailTransport = oneOf('MAIL_TRANSPORT', MAIL_TRANSPORTS, 'gmail');
+const mailFailoverTransport = oneOf('MAIL_FAILOVER_TRANSPORT', MAIL_TRANSPORTS, null);
+const mailFrom = email('MAIL_FROM') || email('EMAIL_USER');
+const mail = {
+  from: mailFrom,
+  // Submission notifications go here
+  adminEmail: email('ADMIN_EMAIL') || mailFrom,
+  primary: mailTransportSettings(mailTransport, ''),
+  failover: mailFailoverTransport ? mailTransportSettings(mailFailoverTransport, 'FAILOVER_') : null,
+  templates: {
+    directory: str('EMAIL_TEMPLATE_DIR', path.join(__dirname, 'templates', 'emails')),
+    // Set EMAIL_TEMPLATE_CACHE=false while editing templates so changes show up without a restart
+    cache: bool('EMAIL_TEMPLATE_CACHE', true)
+  }
+};
+need(mailFrom, 'MAIL_FROM or EMAIL_USER must be set as the sender address');
+need(raw('ADMIN_EMAIL'), `ADMIN_EMAIL is not set - submission notifications go to ${mailFrom || 'nobody'}`);
+
+// Uploads
+// Types the content checks can verify (see services/fileInspection.js); image/jpg is a common alias
+const UPLOAD_TYPES = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+const allowedFileTypes = list('ALLOWED_FILE_TYPES', UPLOAD_TYPES);
+const unsupportedTypes = allowedFileTypes.filter(type => !UPLOAD_TYPES.includes(type));
+if (unsupportedTypes.length > 0) {
+  errors.push(`ALLOWED_FILE_TYPES can only contain ${UPLOAD_TYPES.join(', ')} (got ${unsupportedTypes.join(', ')})`);
+}
+const uploads = {
+  maxFileSize: num('UPLOAD_MAX_SIZE', 10 * 1024 * 1024, { min: 1 }),
+  maxFiles: num('UPLOAD_MAX_FILES', 10, { min: 1 }),
+  maxTotalSize: num('UPLOAD_MAX_TOTAL_SIZE', 25 * 1024 * 1024, { min: 1 }),
+  allowedTypes: allowedFileTypes.filter(type => UPLOAD_TYPES.includes(type)),
+  // Resumable uploads (see services/uploadSessions.js): the largest chunk accepted, and how long
+  // a session may sit without a new chunk before it is treated as abandoned
+  sessions: {
+    chunkSize: num('UPLOAD_CHUNK_SIZE', 1024 * 1024, { min: 16 * 1024 }),
+    ttl: num('UPLOAD_SESSION_TTL_HOURS', 24, { min: 0.01, integer: false }) * 60 * 60 * 1000,
+    directory: path.join(server.uploadsDir, 'sessions')
+  },
+  imageOptimization: {
+    enabled: bool('OPTIMIZE_UPLOAD_IMAGES', false),
+    maxDimension: num('IMAGE_MAX_DIMENSION', 2000, { min: 100 }),
+    quality: num('IMAGE_QUALITY', 80, { min: 1, max: 100 })
+  },
+  malwareScanner: {
+    scanner: str('MALWARE_SCANNER', 'none'),
+    clamav: {
+      host: str('CLAMAV_HOST', '127.0.0.1'),
+      port: num('CLAMAV_PORT', 3310, { min: 1, max: 65535 }),
+      socketPath: str('CLAMAV_SOCKET'),
+      timeout: num('CLAMAV_TIMEOUT', 30000, { min: 1 })
+    }
+  },
+  quarantineDir: str('QUARANTINE_DIR', isProduction ? '/tmp/quarantine' : path.join(__dirname, 'quarantine'))
+};
+if (uploads.maxFileSize > uploads.maxTotalSize) {
+  warnings.push('UPLOAD_MAX_SIZE is larger than UPLOAD_MAX_TOTAL_SIZE - the total limit applies');
+}
+
+// Documents
+const masterKey = str('DOCUMENT_MASTER_KEY');
+if (masterKey && !/^[0-9a-f]{64}$/i.test(masterKey) && Buffer.from(masterKey, 'base64').length !== 32) {
+  errors.push('DOCUMENT_MASTER_KEY must be 32 bytes, hex or base64 encoded (openssl rand -hex 32)');
+}
+if (!masterKey && isProduction) {
+  errors.push('DOCUMENT_MASTER_KEY is required in production to store uploaded documents');
+}
+const requirementsFile = str('DOCUMENT_REQUIREMENTS_FILE');
+if (requirementsFile && !fs.existsSync(requirementsFile)) {
+  errors.push(`DOCUMENT_REQUIREMENTS_FILE does not exist: ${requirementsFile}`);
+}
+const documents = {
+  storage: str('DOCUMENT_STORAGE', 'local'),
+  directory: str('DOCUMENT_STORAGE_DIR', isProduction ? '/tmp/documents' : path.join(__dirname, 'documents')),
+  s3: {
+    bucket: str('S3_BUCKET'),
+    region: str('S3_REGION', 'us-east-1'),
+    endpoint: url('S3_ENDPOINT'),
+    accessKeyId: str('S3_ACCESS_KEY_ID'),
+    secretAccessKey: str('S3_SECRET_ACCESS_KEY'),
+    prefix: str('S3_PREFIX', '')
+  },
+  masterKey,
+  // Outside production a key is generated into the data directory when DOCUMENT_MASTER_KEY is unset
+  linkTtlHours: num('DOCUMENT_LINK_TTL_HOURS', 72, { min: 0.01, integer: false }),
+  linkSecret: str('DOCUMENT_LINK_SECRET'),
+  // How long a customer can use the link from a document request (see services/documentUploads.js)
+  uploadLinkTtlHours: num('UPLOAD_LINK_TTL_HOURS', 168, { min: 0.01, integer: false }),
+  requirementsFile,
+  bundle: bool('DOCUMENT_BUNDLE', false)
+};
+if (documents.storage === 's3' && !(documents.s3.bucket && documents.s3.accessKeyId && documents.s3.secretAccessKey)) {
+  errors.push('DOCUMENT_STORAGE=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+}
+
+// Retention per document type, from upload. `default` covers every type not listed,
+// `quarantine` covers quarantined uploads and `cspReports` stored CSP violation reports.
+// Override with DOCUMENT_RETENTION=type:period,...
+const DEFAULT_RETENTION = {
+  default: '7d',
+  aadharCard: '72h',
+  panCard: '72h',
+  bankStatement: '72h',
+  passportVisa: '72h',
+  quarantine: '30d',
+  cspReports: '30d'
+};
+const retentionPolicy = Object.fromEntries(Object.entries(DEFAULT_RETENTION).map(([type, period]) => [type, parseDuration(period)]));
+list('DOCUMENT_RETENTION').forEach(entry => {
+  const [type, period] = entry.split(':').map(part => (part || '').trim());
+  const duration = parseDuration(period);
+  if (!type || duration === null) {
+    errors.push(`DOCUMENT_RETENTION entries must be type:period with the period in m, h or d (got "${entry}")`);
+    return;
+  }
+  retentionPolicy[type] = duration;
+});
+const retention = {
+  policy: retentionPolicy,
+  sweepInterval: num('RETENTION_SWEEP_INTERVAL_MINUTES', 60, { min: 1 }) * 60 * 1000,
+  // Untracked files younger than this may belong to a request that is still being handled
+  orphanGracePeriod: num('RETENTION_ORPHAN_GRACE_MINUTES', 60, { min: 0 }) * 60 * 1000,
+  // Expired documents behind a dead-lettered admin email are kept this long for a requeue, then deleted
+  deadLetterHold: num('RETENTION_DEAD_LETTER_HOLD_DAYS', 7, { min: 0, integer: false }) * DURATION_UNITS.d
+};
+const shortestRetention = Math.min(...Object.entries(retentionPolicy).filter(([type]) => !['quarantine', 'cspReports'].includes(type)).map(([, period]) => period));
+if (shortestRetention < documents.linkTtlHours * DURATION_UNITS.h) {
+  warnings.push('Some DOCUMENT_RETENTION periods are shorter than DOCUMENT_LINK_TTL_HOURS - emailed links may outlive their documents');
+}
+
+// Security headers and CORS (see middleware/securityHeaders.js)
+const security = {
+  // CORS_ORIGIN is a comma-separated allowlist; `https://*.example.com` matches any subdomain
+  corsOrigins: list('CORS_ORIGIN', isProduction
+    ? ['https://taxandtaxes.com', 'https://www.taxandtaxes.com']
+    : ['http://localhost:5173', 'http://localhost:3000']),
+  csp: {
+    reportOnly: bool('CSP_REPORT_ONLY', false),
+    reportUri: str('CSP_REPORT_URI', '/api/csp-report'),
+    // Extra sources per directive, e.g. CSP_CONNECT_SRC=https://analytics.example.com
+    extra: {
+      'script-src': list('CSP_SCRIPT_SRC'),
+      'connect-src': list('CSP_CONNECT_SRC'),
+      'frame-src': list('CSP_FRAME_SRC'),
+      'img-src': list('CSP_IMG_SRC')
+    }
+  },
+  hsts: {
+    // Off outside production so local http://localhost keeps working
+    maxAge: num('HSTS_MAX_AGE', isProduction ? 15552000 : 0),
+    includeSubDomains: bool('HSTS_INCLUDE_SUBDOMAINS', true),
+    preload: bool('HSTS_PRELOAD', false)
+  },
+  referrerPolicy: str('REFERRER_POLICY', 'no-referrer')
+};
+if (isProduction && raw('CORS_ORIGIN') === undefined) {
+  warnings.push(`CORS_ORIGIN is not set - allowing ${security.corsOrigins.join(', ')}`);
+}
+
+// Abuse protection (see services/rateLimit.js and services/captcha.js)
+const rateLimits = {
+  store: str('RATE_LIMIT_STORE', 'memory'),
+  contactIp: rateLimit('RATE_LIMIT_CONTACT_IP', '10/1h'),
+  contactEmail: rateLimit('RATE_LIMIT_CONTACT_EMAIL', '5/1h'),
+  paymentIp: rateLimit('RATE_LIMIT_PAYMENT_IP', '30/15m'),
+  paymentEmail: rateLimit('RATE_LIMIT_PAYMENT_EMAIL', '10/15m'),
+  cspReport: rateLimit('RATE_LIMIT_CSP_REPORT', '60/1m'),
+  statusIp: rateLimit('RATE_LIMIT_STATUS_IP', '30/15m'),
+  // Per client ID, for status lookups and for one-time code emails
+  statusClient: rateLimit('RATE_LIMIT_STATUS_CLIENT', '10/1h'),
+  statusCode: rateLimit('RATE_LIMIT_STATUS_CODE', '3/1h'),
+  reuploadIp: rateLimit('RATE_LIMIT_REUPLOAD_IP', '20/1h'),
+  // Resumable uploads: new sessions, and chunks (a retried chunk counts again)
+  uploadSessionIp: rateLimit('RATE_LIMIT_UPLOAD_SESSION_IP', '20/1h'),
+  uploadChunkIp: rateLimit('RATE_LIMIT_UPLOAD_CHUNK_IP', '600/15m')
+};
+
+const captcha = {
+  provider: str('CAPTCHA_PROVIDER', 'none'),
+  siteKey: str('CAPTCHA_SITE_KEY'),
+  secret: str('CAPTCHA_SECRET'),
+  timeout: num('CAPTCHA_TIMEOUT', 5000, { min: 1 }),
+  powDifficulty: num('CAPTCHA_POW_DIFFICULTY', 18, { min: 1, max: 32 }),
+  testToken: str('CAPTCHA_TEST_TOKEN', 'test-captcha-token')
+};
+if (['turnstile', 'hcaptcha', 'recaptcha'].includes(captcha.provider) && !captcha.secret) {
+  errors.push(`CAPTCHA_PROVIDER=${captcha.provider} needs CAPTCHA_SECRET`);
+}
+if (captcha.provider === 'test' && isProduction) {
+  errors.push('CAPTCHA_PROVIDER=test accepts a fixed token and must not be used in production');
+}
+
+// Admin access (see middleware/adminAuth.js)
+// ADMIN_API_KEYS=name:role:key,name:role:key  (ADMIN_API_KEY is accepted as a single operator key)
+const ADMIN_ROLES = ['viewer', 'operator'];
+const adminApiKeys = list('ADMIN_API_KEYS').map(entry => {
+  const [id, role, ...rest] = entry.split(':');
+  return { id, role, key: rest.join(':') };
+}).filter(({ id, role, key }) => {
+  if (id && ADMIN_ROLES.includes(role) && key) return true;
+  errors.push(`ADMIN_API_KEYS entries must be name:role:key with role viewer or operator (got an entry for "${id || '?'}")`);
+  return false;
+});
+if (raw('ADMIN_API_KEY')) {
+  adminApiKeys.push({ id: 'admin', role: 'operator', key: raw('ADMIN_API_KEY') });
+}
+const admin = {
+  apiKeys: adminApiKeys,
+  jwtSecret: str('ADMIN_JWT_SECRET')
+};
+if (adminApiKeys.length === 0 && !admin.jwtSecret) {
+  warnings.push('Neither ADMIN_API_KEYS nor ADMIN_JWT_SECRET is set - admin endpoints and the dashboard are disabled');
+}
+
+// Identifiers (see services/identifiers.js)
+// ASSESSMENT_YEAR=2026 or 2026-27 fixes the year in new client IDs; by default it follows the calendar
+const assessmentYearSetting = raw('ASSESSMENT_YEAR');
+const assessmentYearMatch = assessmentYearSetting && assessmentYearSetting.match(/^(20\d{2})(?:-(\d{2}))?$/);
+if (assessmentYearSetting && (!assessmentYearMatch ||
+    (assessmentYearMatch[2] && Number(assessmentYearMatch[2]) !== (Number(assessmentYearMatch[1]) + 1) % 100))) {
+  errors.push(`ASSESSMENT_YEAR must be a year such as 2026 or 2026-27 (got "${assessmentYearSetting}")`);
+}
+const identifiers = {
+  assessmentYear: assessmentYearMatch ? Number(assessmentYearMatch[1]) : null
+};
+
+// Tax invoices (see services/invoices.js)
+// Issued for verified payments once INVOICE_GSTIN is set; its first two digits are the seller's state.
+// Numbers are PREFIX/YY-YY/NNNNNN, so the prefix is kept short enough for GST's 16-character limit.
+const invoiceGstin = str('INVOICE_GSTIN');
+if (invoiceGstin && !/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(invoiceGstin)) {
+  errors.push(`INVOICE_GSTIN must be a 15-character GSTIN such as 27ABCDE1234F1Z5 (got "${invoiceGstin}")`);
+}
+const invoicePrefix = str('INVOICE_PREFIX', 'TT');
+if (!/^[A-Z0-9]{1,3}$/.test(invoicePrefix)) {
+  errors.push(`INVOICE_PREFIX must be 1 to 3 capital letters or digits (got "${invoicePrefix}")`);
+}
+const invoiceSac = str('INVOICE_SAC', '998232');
+if (!/^99\d{4}$/.test(invoiceSac)) {
+  errors.push(`INVOICE_SAC must be a 6-digit services accounting code starting with 99 (got "${invoiceSac}")`);
+}
+const invoices = {
+  enabled: Boolean(invoiceGstin),
+  gstin: invoiceGstin,
+  legalName: str('INVOICE_LEGAL_NAME', 'Tax And Taxes'),
+  address: str('INVOICE_ADDRESS'),
+  sac: invoiceSac,
+  prefix: invoicePrefix
+};
+// Not every business is GST-registered, so this is only ever a warning
+if (!invoiceGstin) {
+  warnings.push('INVOICE_GSTIN is not set - paid customers will not receive a tax invoice');
+}
+need(!invoiceGstin || invoices.address, 'INVOICE_ADDRESS is not set - tax invoices will not show the business address');
+
+// Submission store (see services/store.js)
+const store = {
+  adapter: str('STORE_ADAPTER', 'jsonl'),
+  directory: str('DATA_DIR', isProduction ? '/tmp/data' : path.join(__dirname, 'data'))
+};
+// Invoice numbers must never be reused, so their sequence can't live in /tmp or in memory
+if (isProduction && invoiceGstin && (store.adapter === 'memory' || (store.adapter === 'jsonl' && !raw('DATA_DIR')))) {
+  errors.push('INVOICE_GSTIN needs a durable store in production - set DATA_DIR to a persistent volume (or use a durable STORE_ADAPTER) so invoice numbers are never reused');
+}
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+const config = deepFreeze({
+  server,
+  cashfree,
+  mail,
+  uploads,
+  documents,
+  retention,
+  security,
+  rateLimits,
+  captcha,
+  admin,
+  identifiers,
+  invoices,
+  store
+});
+
+// Report problems and stop on errors, so a misconfigured deploy fails at boot rather than on the first request
+const assertConfig = () => {
+  warnings.forEach(warning => console.warn(`⚠️ Config: ${warning}`));
+  if (errors.length > 0) {
+    console.error(`❌ Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+};
+
+const SECRET_KEYS = ['secretKey', 'pass', 'clientSecret', 'refreshToken', 'apiKey', 'key', 'masterKey',
+  'linkSecret', 'secretAccessKey', 'secret', 'jwtSecret', 'testToken'];
+
+// The effective configuration with every secret replaced by whether it is set
+const redactedConfig = () => {
+  const redact = (value, key) => {
+    if (SECRET_KEYS.includes(key)) {
+      return value ? '[redacted]' : null;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+    }
+    return value;
+  };
+  return redact(config);
+};
+
+module.exports = {
+  config,
+  configWarnings: warnings,
+  assertConfig,
+  redactedConfig
+};
@@ -1,44 +1,66 @@
 const express = require('express');
 const cors = require('cors');
-const nodemailer = require('nodemailer');
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
 
-// Load environment variables from current directory
-require('dotenv').config({ path: path.join(__dirname, '.env') });
+// Load and validate the configuration before anything else reads it; exits on invalid settings
+const { config, assertConfig } = require('./config');
+assertConfig();
+
+const { PricingError, quoteForService, amountMatchesQuote } = require('./services/pricing');
+const submissions = require('./services/submissions');
+const cashfree = require('./services/cashfree');
+const outbox = require('./services/outbox');
+const { defaultFrom, transportNames } = require('./services/mailer');
+const { PaymentVerificationError, verifySubmissionPayment, flagUnverifiedPayment, releaseOrder } = require('./services/paymentVerification');
+const { WebhookVerificationError, verifyWebhookSignature, getEventId, processWebhookEvent } = require('./services/cashfreeWebhook');
+const { ValidationError } = require('./services/validation');
+const { contactSchema, createPaymentOrderSchema, verifyPaymentSchema, uploadDocumentsSchema } = require('./services/requestSchemas');
+const { getRequirements, listRequirements, findMissingDocuments, documentTypeFor } = require('./services/documentRequirements');
+const adminRoutes = require('./routes/admin');
+const { createAdminDashboard } = require('./routes/adminDashboard');
+const { adminAccess } = require('./middleware/adminAuth');
+const { validateBody, sendValidationError } = require('./middleware/validate');
+const { inspectUploads } = require('./middleware/uploadInspection');
+const { attachUploadSession } = require('./middleware/uploadSessions');
+const { UPLOAD_LIMITS, limitUploads } = require('./middleware/uploadLimits');
+const { rateLimit, emailKey } = require('./middleware/rateLimit');
+const { requireCaptcha, requireCaptchaHeader } = require('./middleware/captcha');
+const { securityHeaders, corsOptions } = require('./middleware/securityHeaders');
+const { RATE_LIMITS, getRateLimitStore } = require('./services/rateLimit');
+const { getCaptchaVerifier } = require('./services/captcha');
+const { recordCspReports } = require('./services/cspReports');
+const documentRoutes = require('./routes/documents');
+const statusRoutes = require('./routes/status');
+const uploadRoutes = require('./routes/uploads');
+const { getDocumentStorage } = require('./services/documentStorage');
+const { getMasterKey, storeDocument } = require('./services/documentVault');
+const retention = require('./services/retention');
+const { generateClientId, generateOrderId, getCustomerId } = require('./services/identifiers');
+const { IMAGE_OPTIMIZATION, optimizeImage } = require('./services/imageOptimization');
+const { DOCUMENT_BUNDLE, createDocumentBundle } = require('./services/documentBundle');
+const { INVOICE_CONFIG, issueInvoice, createInvoiceAttachment } = require('./services/invoices');
+const { createAdminEmailTemplate, createUserEmailTemplate } = require('./services/submissionEmails');
+const {
+  DocumentUploadError,
+  describeRequest,
+  authorizeUpload,
+  receiveDocuments
+} = require('./services/documentUploads');
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.server.port;
+app.disable('x-powered-by');
 
-// CSP Headers Middleware
-const cspMiddleware = (req, res, next) => {
-  // Set frame-ancestors directive via headers
-  res.setHeader(
-    'Content-Security-Policy',
-    "frame-ancestors 'none'; " +
-    "default-src 'self'; " +
-    "script-src 'self' 'unsafe-inline' 'unsafe-eval' https://sdk.cashfree.com https://js.cashfree.com https://cdn.cashfree.com; " +
-    "connect-src 'self' https://api.cashfree.com https://sandbox.cashfree.com https://sdk.cashfree.com https://js.cashfree.com https://cdn.cashfree.com; " +
-    "frame-src 'self' https://api.cashfree.com https://sandbox.cashfree.com https://sdk.cashfree.com https://js.cashfree.com https://cdn.cashfree.com https://payments.cashfree.com https://payments-test.cashfree.com; " +
-    "form-action 'self' https://api.cashfree.com https://sandbox.cashfree.com https://sdk.cashfree.com https://payments.cashfree.com https://payments-test.cashfree.com; " +
-    "img-src 'self' data: blob: https://sdk.cashfree.com https://js.cashfree.com https://cdn.cashfree.com; " +
-    "style-src 'self' 'unsafe-inline' https://sdk.cashfree.com https://js.cashfree.com https://cdn.cashfree.com; " +
-    "font-src 'self' data: https://sdk.cashfree.com https://js.cashfree.com https://cdn.cashfree.com"
-  );
-
-  // Also set X-Frame-Options for older browsers
-  res.setHeader('X-Frame-Options', 'DENY');
-
-  next();
-};
+// Rate limits are per client IP, so take it from X-Forwarded-For when running behind a load balancer
+// (TRUST_PROXY, see config.js)
+if (config.server.trustProxy) {
+  app.set('trust proxy', config.server.trustProxy);
+}
 
 // Create uploads directory if it doesn't exist
 // For Vercel, use /tmp directory which is available in serverless functions
-const uploadsDir = process.env.NODE_ENV === 'production' 
-  ? '/tmp/uploads' 
-  : path.join(__dirname, 'uploads');
+const uploadsDir = config.server.uploadsDir;
 
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
@@ -50,733 +72,178 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: function (req, file, cb) {
-    // Generate unique filename with timestamp
+    // Generate unique filename with timestamp; the extension is added once the content has been checked
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, file.fieldname + '-' + uniqueSuffix);
   }
 });
 
+const FILE_TYPE_NAMES = { 'application/pdf': 'PDF', 'image/jpeg': 'JPG', 'image/jpg': 'JPG', 'image/png': 'PNG' };
+const allowedTypeNames = [...new Set(config.uploads.allowedTypes.map(type => FILE_TYPE_NAMES[type]))].join(', ');
+
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+    fileSize: UPLOAD_LIMITS.maxFileSize,
+    files: UPLOAD_LIMITS.maxFiles,
+    fieldSize: UPLOAD_LIMITS.maxFieldSize
   },
   fileFilter: function (req, file, cb) {
-    // Allow PDF, JPG, PNG files
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
+    // Allow the ALLOWED_FILE_TYPES (a first pass only - inspectUploads checks the actual content)
+    if (config.uploads.allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only PDF, JPG, and PNG files are allowed.'));
+      cb(new Error(`Invalid file type. Only ${allowedTypeNames} files are allowed.`));
     }
   }
 });
 
 // Middleware
-const corsOptions = {
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-    
-    const allowedOrigins = process.env.NODE_ENV === 'production' 
-      ? [
-          'https://taxandtaxes.com',
-          'https://www.taxandtaxes.com'
-        ]
-      : ['http://localhost:5173', 'http://localhost:3000'];
-    
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      console.log(`CORS: Blocked origin ${origin}`);
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-};
-
-app.use(cors(corsOptions));
-app.use(cspMiddleware);  // Apply CSP headers
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// Email retry system for successful payments
-const pendingEmailRetries = new Map(); // Store failed email attempts with payment success
-
-// Email retry configuration
-const EMAIL_RETRY_CONFIG = {
-  maxRetries: 5,
-  retryDelays: [30000, 60000, 120000, 300000, 600000], // 30s, 1m, 2m, 5m, 10m
-  maxAge: 30 * 60 * 1000 // 30 minutes - after this, give up
-};
-
-// Send emails with retry mechanism
-const sendEmailsWithRetry = async (formData, files, clientId, paymentInfo, retryCount = 0) => {
+// The admin dashboard is served from this origin, so its form posts skip the frontend CORS allowlist
+const corsMiddleware = cors(corsOptions);
+app.use((req, res, next) => (/^\/admin(\/|$)/.test(req.path) ? next() : corsMiddleware(req, res, next)));
+app.use(securityHeaders);  // CSP, HSTS and friends (see middleware/securityHeaders.js)
+// Collector for Content-Security-Policy violation reports (legacy report-uri and Reporting API formats).
+// Registered before the app-wide parsers so its own 64kb limit applies to every report.
+const cspReportLimit = rateLimit({ name: 'csp-report-ip', limit: RATE_LIMITS.cspReport });
+app.post('/api/csp-report', cspReportLimit, express.json({
+  type: ['application/csp-report', 'application/reports+json', 'application/json'],
+  limit: '64kb'
+}), async (req, res) => {
   try {
-    console.log(`📧 Sending emails for ${formData.name} - Attempt ${retryCount + 1}`);
-    
-    // Send admin notification email with attachments
-    const adminEmail = createAdminEmailTemplate(formData, files, clientId, paymentInfo);
-    await transporter.sendMail(adminEmail);
-    
-    // Send user confirmation email with document list
-    const userEmail = createUserEmailTemplate(formData, files, clientId, paymentInfo);
-    await transporter.sendMail(userEmail);
-    
-    console.log(`✅ Emails sent successfully for ${formData.name} (${formData.email}) - Client ID: ${clientId}`);
-    
-    // Remove from retry queue if it exists
-    if (pendingEmailRetries.has(clientId)) {
-      const retryData = pendingEmailRetries.get(clientId);
-      if (retryData.timeoutId) {
-        clearTimeout(retryData.timeoutId);
-      }
-      pendingEmailRetries.delete(clientId);
-      console.log(`🗑️ Removed ${clientId} from email retry queue - emails sent successfully`);
-      
-      // Schedule file cleanup now that emails are sent
-      if (files && files.length > 0) {
-        scheduleFileCleanup(files, clientId);
-      }
-    }
-    
-    return { success: true };
-    
+    await recordCspReports(req.body, { userAgent: req.get('User-Agent') });
   } catch (error) {
-    console.error(`❌ Email sending failed for ${formData.name} - Attempt ${retryCount + 1}:`, error.message);
-    
-    // If payment was successful, set up retry mechanism
-    if (paymentInfo && retryCount < EMAIL_RETRY_CONFIG.maxRetries) {
-      const nextRetryCount = retryCount + 1;
-      const delay = EMAIL_RETRY_CONFIG.retryDelays[retryCount] || EMAIL_RETRY_CONFIG.retryDelays[EMAIL_RETRY_CONFIG.retryDelays.length - 1];
-      
-      console.log(`🔄 Payment successful but email failed. Scheduling retry ${nextRetryCount} in ${delay/1000} seconds for Client ID: ${clientId}`);
-      
-      // Store retry data
-      const retryData = {
-        formData,
-        files,
-        clientId,
-        paymentInfo,
-        retryCount: nextRetryCount,
-        createdAt: Date.now(),
-        timeoutId: null
-      };
-      
-      // Schedule retry
-      retryData.timeoutId = setTimeout(async () => {
-        console.log(`⏰ Executing email retry ${nextRetryCount} for Client ID: ${clientId}`);
-        await sendEmailsWithRetry(formData, files, clientId, paymentInfo, nextRetryCount);
-      }, delay);
-      
-      pendingEmailRetries.set(clientId, retryData);
-      
-      return { 
-        success: false, 
-        willRetry: true, 
-        retryCount: nextRetryCount,
-        nextRetryIn: delay 
-      };
-    }
-    
-    // If retries are exhausted, clean up files and log the failure
-    if (paymentInfo) {
-      console.error(`❌ All email retries exhausted for successful payment - Client ID: ${clientId}. Files will be cleaned up.`);
-      if (files && files.length > 0) {
-        // Clean up files immediately since we can't send emails
-        cleanupFiles(files, clientId);
-      }
-    }
-    
-    return { success: false, willRetry: false, error: error.message };
-  }
-};
-
-// Cleanup old retry attempts
-const cleanupOldRetries = () => {
-  const now = Date.now();
-  const expiredEntries = [];
-  
-  for (const [clientId, retryData] of pendingEmailRetries.entries()) {
-    if (now - retryData.createdAt > EMAIL_RETRY_CONFIG.maxAge) {
-      expiredEntries.push(clientId);
-    }
-  }
-  
-  expiredEntries.forEach(clientId => {
-    const retryData = pendingEmailRetries.get(clientId);
-    if (retryData.timeoutId) {
-      clearTimeout(retryData.timeoutId);
-    }
-    
-    // Clean up files for expired retries since emails couldn't be sent
-    if (retryData.files && retryData.files.length > 0) {
-      console.log(`🧹 Cleaning up files for expired email retry - Client ID: ${clientId}`);
-      cleanupFiles(retryData.files, clientId);
-    }
-    
-    pendingEmailRetries.delete(clientId);
-  });
-  
-  if (expiredEntries.length > 0) {
-    console.log(`🧹 Cleaned up ${expiredEntries.length} expired email retry attempts`);
+    console.error('❌ Error recording CSP report:', error.message);
   }
-};
-
-// Run cleanup every 5 minutes
-setInterval(cleanupOldRetries, 5 * 60 * 1000);
-
-// Generate unique client ID with TT25 prefix
-const generateClientId = () => {
-  const timestamp = Date.now().toString().slice(-6); // Last 6 digits of timestamp
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `TT25${timestamp}${random}`;
-};
-
-// Generate unique order ID for Cashfree
-const generateOrderId = () => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `ORDER_TT25_${timestamp}_${random}`;
-};
+  res.status(204).end();
+});
 
-// Schedule file cleanup after 30 minutes (only after successful email delivery)
-// For Vercel, use shorter cleanup times due to serverless nature
-const scheduleFileCleanup = (files, clientId) => {
-  // In production (Vercel), clean up files more aggressively
-  const cleanupDelay = process.env.NODE_ENV === 'production' 
-    ? 5 * 60 * 1000  // 5 minutes for production
-    : 30 * 60 * 1000; // 30 minutes for development
-  
-  console.log(`🕐 Scheduling cleanup for ${files.length} files in ${cleanupDelay / 60000} minutes - Client ID: ${clientId}`);
-  
-  setTimeout(() => {
-    // Check if there are still pending email retries before cleanup
-    if (pendingEmailRetries.has(clientId)) {
-      console.log(`⏸️ Delaying file cleanup for Client ID: ${clientId} - email retries still pending`);
-      // Reschedule cleanup for another 2 minutes in production, 10 minutes in development
-      const retryDelay = process.env.NODE_ENV === 'production' ? 2 * 60 * 1000 : 10 * 60 * 1000;
-      setTimeout(() => cleanupFiles(files, clientId), retryDelay);
-    } else {
-      cleanupFiles(files, clientId);
-    }
-  }, cleanupDelay);
-};
+// Resumable uploads read each chunk's raw bytes, whatever its content type, so they are mounted
+// before the app-wide parsers could consume a chunk sent as JSON or a form
+app.use('/api/uploads', uploadRoutes);
 
-// Clean up uploaded files
-const cleanupFiles = async (files, clientId) => {
-  console.log(`🧹 Starting file cleanup for Client ID: ${clientId}`);
-  
-  let deletedCount = 0;
-  let errorCount = 0;
-  
-  for (const file of files) {
-    try {
-      // Check if file exists before attempting deletion
-      if (fs.existsSync(file.path)) {
-        await fs.promises.unlink(file.path);
-        deletedCount++;
-        console.log(`🗑️ Deleted: ${file.originalname} (${file.path})`);
-      } else {
-        console.log(`⚠️ File already deleted or doesn't exist: ${file.path}`);
-      }
-    } catch (error) {
-      errorCount++;
-      console.error(`❌ Error deleting file ${file.originalname}:`, error.message);
-    }
+// JSON and form bodies never carry documents (those are multipart), so keep them small
+app.use(express.json({
+  limit: '1mb',
+  // Keep the exact bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
   }
+}));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Queue the admin notification and user confirmation as separate outbox jobs,
+// then make the first delivery attempt right away. Failed messages stay in the
+// outbox and are retried by the worker, for paid and unpaid submissions alike.
+const queueSubmissionEmails = async (formData, files, clientId, paymentInfo, bundle = null, invoice = null) => {
+  console.log(`📧 Queuing emails for ${formData.name} - Client ID: ${clientId}`);
   
-  console.log(`✅ Cleanup completed for Client ID: ${clientId} - Deleted: ${deletedCount}, Errors: ${errorCount}`);
+  const meta = {
+    customerName: formData.name,
+    customerEmail: formData.email,
+    service: formData.service,
+    paymentAmount: paymentInfo?.amount || null,
+    paymentId: paymentInfo?.paymentId || null
+  };
+  
+  const jobs = await outbox.enqueue([
+    { clientId, kind: 'admin', message: createAdminEmailTemplate(formData, files, clientId, paymentInfo, bundle), meta },
+    { clientId, kind: 'user', message: createUserEmailTemplate(formData, files, clientId, paymentInfo, invoice), meta }
+  ]);
+  const delivered = await outbox.deliverJobs(jobs);
   
-  // Log cleanup summary
-  if (errorCount > 0) {
-    console.warn(`⚠️ Warning: ${errorCount} files could not be deleted for Client ID: ${clientId}`);
-  }
-};
-
-// Cashfree Configuration
-const cashfreeConfig = {
-  appId: process.env.CASHFREE_APP_ID,
-  secretKey: process.env.CASHFREE_SECRET_KEY,
-  environment: process.env.CASHFREE_ENVIRONMENT || 'TEST',
-  baseUrl: process.env.CASHFREE_ENVIRONMENT === 'PROD' 
-    ? 'https://api.cashfree.com/pg' 
-    : 'https://sandbox.cashfree.com/pg'
-};
-
-// Package pricing mapping
-const packagePricing = {
-  'Tax Planning With Normal Filing': 799,
-  'Salaried Tax ProAssist': 999,
-  'Capital Gains ProAssist': 2599,
-  'NRI Tax ProAssist': 4899,
-  'Tax Planning With Normal Filing - Revised': 1199,
-  'Salaried Tax ProAssist - Revised': 1499,
-  'Capital Gains ProAssist - Revised': 3099,
-  'NRI Tax ProAssist - Revised': 5899
-};
-
-// Email configuration
-const transporter = nodemailer.createTransport({
-  service: 'gmail', // You can change this to your email provider
-  auth: {
-    user: process.env.EMAIL_USER, // Your email
-    pass: process.env.EMAIL_PASS, // Your app password
-  },
-});
-
-// Email templates
-const createAdminEmailTemplate = (data, files = [], clientId, paymentInfo = null) => {
   return {
-    from: process.env.EMAIL_USER,
-    to: process.env.ADMIN_EMAIL || 'taxndtaxes@gmail.com',
-    subject: `🚨 New Contact Form Submission - ${data.service} - Client ID: ${clientId}`,
-    attachments: files.map(file => ({
-      filename: file.originalname,
-      path: file.path
-    })),
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
-        <div style="background: linear-gradient(135deg, #10b981, #059669); color: white; padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 20px;">
-          <h1 style="margin: 0; font-size: 24px;">📧 New Contact Form Submission</h1>
-          <p style="margin: 10px 0 0 0; opacity: 0.9;">Tax And Taxes - Customer Inquiry</p>
-          <div style="background: rgba(255,255,255,0.1); margin: 15px 0 0 0; padding: 10px; border-radius: 8px;">
-            <p style="margin: 0; font-size: 16px; font-weight: 600;">Client ID: ${clientId}</p>
-          </div>
-        </div>
-        
-        <div style="background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-          <div style="border-left: 4px solid #10b981; padding-left: 20px; margin-bottom: 30px;">
-            <h2 style="color: #1e293b; margin: 0 0 10px 0;">Customer Information</h2>
-            <p style="color: #64748b; margin: 0;">Received: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</p>
-          </div>
-          
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151; width: 30%;">📧 Name:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">${data.name}</td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">✉️ Email:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">
-                <a href="mailto:${data.email}" style="color: #10b981; text-decoration: none;">${data.email}</a>
-              </td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">📱 Phone:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">
-                <a href="tel:${data.phone}" style="color: #10b981; text-decoration: none;">${data.phone}</a>
-              </td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">🏷️ Service:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
-                <span style="background: #dcfce7; color: #166534; padding: 6px 12px; border-radius: 20px; font-size: 14px; font-weight: 500;">
-                  ${data.service}
-                </span>
-              </td>
-            </tr>
-            ${paymentInfo ? `
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">💳 Payment Status:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
-                <span style="background: #dcfce7; color: #166534; padding: 6px 12px; border-radius: 20px; font-size: 14px; font-weight: 600;">
-                  ✅ PAID - ₹${paymentInfo.amount}
-                </span>
-              </td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">🆔 Payment ID:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 600;">${paymentInfo.paymentId}</td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">🔄 Transaction ID:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 600;">${paymentInfo.transactionId}</td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">📦 Order ID:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 600;">${paymentInfo.orderId}</td>
-            </tr>
-            ` : ''}
-            ${data.bankAccountNumber ? `
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">🏦 Bank Account:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">${data.bankAccountNumber}</td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">🏛️ Bank Name:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">${data.bankName}</td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">🔢 IFSC Code:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">${data.ifscCode}</td>
-            </tr>
-            <tr>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; font-weight: bold; color: #374151;">👤 Account Holder:</td>
-              <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0; color: #1e293b;">${data.accountHolderName}</td>
-            </tr>
-            ` : ''}
-            <tr>
-              <td style="padding: 12px 0; font-weight: bold; color: #374151; vertical-align: top;">💬 Message:</td>
-              <td style="padding: 12px 0; color: #1e293b; line-height: 1.6;">
-                <div style="background: #f1f5f9; padding: 15px; border-radius: 8px; border-left: 3px solid #10b981;">
-                  ${data.message || 'No additional message provided'}
-                </div>
-              </td>
-            </tr>
-          </table>
-          
-          ${files.length > 0 ? `
-          <div style="margin-top: 30px; padding: 20px; background: #fef3c7; border-radius: 12px; border-left: 4px solid #f59e0b;">
-            <h3 style="color: #92400e; margin: 0 0 15px 0; font-size: 18px;">📎 Submitted Documents (${files.length} files)</h3>
-            <ul style="margin: 0; padding-left: 20px; color: #92400e;">
-              ${files.map(file => `
-                <li style="margin: 8px 0; font-weight: 500;">
-                  📄 ${file.originalname} 
-                  <span style="color: #78716c; font-size: 12px; font-weight: normal;">(${(file.size / 1024 / 1024).toFixed(2)} MB)</span>
-                </li>
-              `).join('')}
-            </ul>
-            <p style="margin: 15px 0 0 0; color: #92400e; font-size: 14px; font-style: italic;">
-              💡 All documents are attached to this email for your review.
-            </p>
-          </div>
-          ` : ''}
-        </div>
-        
-        <div style="background: #f1f5f9; padding: 20px; border-radius: 12px; margin-top: 20px; text-align: center;">
-          <h3 style="color: #374151; margin: 0 0 15px 0;">Quick Actions</h3>
-          <div style="display: flex; gap: 10px; justify-content: center; flex-wrap: wrap;">
-            <a href="mailto:${data.email}?subject=Re: Your inquiry about ${data.service}" 
-               style="background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: 500; display: inline-block; margin: 5px;">
-              📧 Reply via Email
-            </a>
-            <a href="tel:${data.phone}" 
-               style="background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: 500; display: inline-block; margin: 5px;">
-              📞 Call Customer
-            </a>
-            <a href="https://wa.me/${data.phone.replace(/[^0-9]/g, '')}?text=Hi ${data.name}, thank you for your inquiry about ${data.service}. We're here to help!" 
-               style="background: #25d366; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: 500; display: inline-block; margin: 5px;">
-              💬 WhatsApp
-            </a>
-          </div>
-        </div>
-        
-        <div style="text-align: center; margin-top: 30px; color: #64748b; font-size: 14px;">
-          <p>This email was automatically generated from the Tax And Taxes contact form.</p>
-          <p>Please respond within 2 hours to maintain our service commitment.</p>
-        </div>
-      </div>
-    `,
+    success: delivered.every(job => job.status === 'sent'),
+    willRetry: delivered.some(job => job.status === 'pending'),
+    jobs: delivered
   };
 };
 
-const createUserEmailTemplate = (data, files = [], clientId, paymentInfo = null) => {
-  return {
-    from: process.env.EMAIL_USER,
-    to: data.email,
-    subject: `✅ Thank you for contacting Tax And Taxes - Client ID: ${clientId}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8fafc;">
-        <!-- Header with Logo -->
-        <div style="background: linear-gradient(135deg, #10b981, #059669); color: white; padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 20px;">
-          <table width="100%" cellpadding="0" cellspacing="0" border="0">
-            <tr>
-              <td align="center">
-                <h1 style="margin: 0; font-size: 28px; font-weight: 700;">🎉 Thank You, ${data.name}!</h1>
-                <p style="margin: 15px 0 0 0; font-size: 18px; opacity: 0.9; font-weight: 400;">We've received your inquiry</p>
-              </td>
-            </tr>
-          </table>
-        </div>
-        
-        <!-- Response Time Card -->
-        <div style="background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); margin-bottom: 20px;">
-          <table width="100%" cellpadding="0" cellspacing="0" border="0">
-            <tr>
-              <td align="center" style="padding-bottom: 30px;">
-                <div style="background: #dcfce7; color: #166534; padding: 20px; border-radius: 12px; display: inline-block; text-align: center;">
-                  <h2 style="margin: 0 0 10px 0; font-size: 20px; font-weight: 600;">⏰ Expected Response Time</h2>
-                  <p style="margin: 0 0 5px 0; font-size: 28px; font-weight: 700; color: #059669;">Within 2 Hours</p>
-                  <p style="margin: 0; font-size: 14px; opacity: 0.8; font-weight: 500;">On business days (Mon-Sat, 9AM-8PM IST)</p>
-                </div>
-              </td>
-            </tr>
-          </table>
-          
-          <!-- Inquiry Summary -->
-          <div style="border-left: 4px solid #10b981; padding-left: 20px; margin-bottom: 25px;">
-            <h3 style="color: #1e293b; margin: 0 0 15px 0; font-size: 18px; font-weight: 600;">📋 Your Inquiry Summary</h3>
-            <table style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; width: 40%; vertical-align: top;">Service Requested:</td>
-                <td style="padding: 10px 0;">
-                  <span style="background: #dcfce7; color: #166534; padding: 6px 16px; border-radius: 20px; font-size: 14px; font-weight: 600; display: inline-block;">
-                    ${data.service}
-                  </span>
-                </td>
-              </tr>
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; vertical-align: top;">Submitted On:</td>
-                <td style="padding: 10px 0; color: #1e293b; font-weight: 500;">${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</td>
-              </tr>
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; vertical-align: top;">Reference ID:</td>
-                <td style="padding: 10px 0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 700; background: #f1f5f9; padding: 8px 12px; border-radius: 6px; display: inline-block;">${clientId}</td>
-              </tr>
-              ${paymentInfo ? `
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; vertical-align: top;">💳 Payment Status:</td>
-                <td style="padding: 10px 0;">
-                  <span style="background: #dcfce7; color: #166534; padding: 8px 16px; border-radius: 20px; font-size: 14px; font-weight: 600; display: inline-block;">
-                    ✅ PAID - ₹${paymentInfo.amount}
-                  </span>
-                </td>
-              </tr>
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; vertical-align: top;">🆔 Payment ID:</td>
-                <td style="padding: 10px 0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 700; background: #f1f5f9; padding: 8px 12px; border-radius: 6px; display: inline-block;">${paymentInfo.paymentId}</td>
-              </tr>
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; vertical-align: top;">🔄 Transaction ID:</td>
-                <td style="padding: 10px 0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 700; background: #f1f5f9; padding: 8px 12px; border-radius: 6px; display: inline-block;">${paymentInfo.transactionId}</td>
-              </tr>
-              <tr>
-                <td style="padding: 10px 0; color: #64748b; font-weight: 600; vertical-align: top;">📦 Order ID:</td>
-                <td style="padding: 10px 0; color: #1e293b; font-family: 'Courier New', monospace; font-weight: 700; background: #f1f5f9; padding: 8px 12px; border-radius: 6px; display: inline-block;">${paymentInfo.orderId}</td>
-              </tr>
-              ` : ''}
-            </table>
-            
-            ${data.message ? `
-              <div style="margin-top: 20px;">
-                <p style="color: #64748b; font-weight: 600; margin: 0 0 10px 0;">Your Message:</p>
-                <div style="background: #f8fafc; padding: 18px; border-radius: 10px; color: #1e293b; line-height: 1.6; border: 1px solid #e2e8f0; font-style: italic;">
-                  "${data.message}"
-                </div>
-              </div>
-            ` : ''}
-            
-            ${files.length > 0 ? `
-              <div style="margin-top: 25px; padding: 20px; background: #f0f9ff; border-radius: 12px; border-left: 4px solid #0ea5e9;">
-                <h4 style="color: #0c4a6e; margin: 0 0 15px 0; font-size: 16px; font-weight: 600;">📎 Documents Successfully Submitted (${files.length} files)</h4>
-                <ul style="margin: 0; padding-left: 20px; color: #0c4a6e;">
-                  ${files.map(file => {
-                    const documentType = file.fieldname === 'form16' ? 'Form 16' :
-                                       file.fieldname === 'panCard' ? 'PAN Card' :
-                                       file.fieldname === 'aadharCard' ? 'Aadhar Card' :
-                                       file.fieldname === 'incomeDocuments' ? 'Income Documents' :
-                                       file.fieldname === 'deductionDocuments' ? 'Deduction Documents' :
-                                       file.fieldname === 'bankStatement' ? 'Bank Statement' :
-                                       file.fieldname;
-                    return `
-                      <li style="margin: 8px 0; font-weight: 500;">
-                        📄 ${documentType}: ${file.originalname} 
-                        <span style="color: #64748b; font-size: 12px; font-weight: normal;">(${(file.size / 1024 / 1024).toFixed(2)} MB)</span>
-                      </li>
-                    `;
-                  }).join('')}
-                </ul>
-                <p style="margin: 15px 0 0 0; color: #0c4a6e; font-size: 14px;">
-                  ✅ All your documents have been securely uploaded and sent to our tax experts for review.
-                </p>
-              </div>
-            ` : ''}
-          </div>
-        </div>
-        
-        <!-- What Happens Next -->
-        <div style="background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); margin-bottom: 20px;">
-          <h3 style="color: #1e293b; margin: 0 0 30px 0; text-align: center; font-size: 20px; font-weight: 600;">🚀 What Happens Next?</h3>
-          
-          <!-- Step 1 -->
-          <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom: 25px;">
-            <tr>
-              <td width="80" align="center" style="vertical-align: top; padding-right: 20px;">
-                <div style="background: #eff6ff; color: #1d4ed8; width: 60px; height: 60px; border-radius: 50%; margin: 0 auto; display: table;">
-                  <div style="display: table-cell; text-align: center; vertical-align: middle; font-size: 24px; font-weight: 700;">1</div>
-                </div>
-              </td>
-              <td style="vertical-align: top; padding-left: 0px;">
-                <h4 style="margin: 0 0 8px 0; color: #374151; font-size: 18px; font-weight: 600;">Review & Assign</h4>
-                <p style="margin: 0; color: #64748b; font-size: 15px; line-height: 1.5;">Our team reviews your inquiry and assigns the best tax expert for your needs</p>
-              </td>
-            </tr>
-          </table>
-          
-          <!-- Step 2 -->
-          <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom: 25px;">
-            <tr>
-              <td width="80" align="center" style="vertical-align: top; padding-right: 20px;">
-                <div style="background: #f0fdf4; color: #16a34a; width: 60px; height: 60px; border-radius: 50%; margin: 0 auto; display: table;">
-                  <div style="display: table-cell; text-align: center; vertical-align: middle; font-size: 24px; font-weight: 700;">2</div>
-                </div>
-              </td>
-              <td style="vertical-align: top; padding-left: 0px;">
-                <h4 style="margin: 0 0 8px 0; color: #374151; font-size: 18px; font-weight: 600;">Personal Response</h4>
-                <p style="margin: 0; color: #64748b; font-size: 15px; line-height: 1.5;">You'll receive a personalized response via email or phone within 2 hours</p>
-              </td>
-            </tr>
-          </table>
-          
-          <!-- Step 3 -->
-          <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-bottom: 10px;">
-            <tr>
-              <td width="80" align="center" style="vertical-align: top; padding-right: 20px;">
-                <div style="background: #fef3c7; color: #d97706; width: 60px; height: 60px; border-radius: 50%; margin: 0 auto; display: table;">
-                  <div style="display: table-cell; text-align: center; vertical-align: middle; font-size: 24px; font-weight: 700;">3</div>
-                </div>
-              </td>
-              <td style="vertical-align: top; padding-left: 0px;">
-                <h4 style="margin: 0 0 8px 0; color: #374151; font-size: 18px; font-weight: 600;">Schedule Consultation</h4>
-                <p style="margin: 0; color: #64748b; font-size: 15px; line-height: 1.5;">We'll help schedule your tax filing consultation at your convenience</p>
-              </td>
-            </tr>
-          </table>
-        </div>
-        
-        <!-- Contact Options -->
-        <div style="background: #f8fafc; padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 20px; border: 1px solid #e2e8f0;">
-          <h3 style="color: #374151; margin: 0 0 20px 0; font-size: 18px; font-weight: 600;">📞 Need Immediate Assistance?</h3>
-          
-          <table width="100%" cellpadding="0" cellspacing="0" border="0">
-            <tr>
-              <td align="center" style="padding: 10px;">
-                <table cellpadding="0" cellspacing="0" border="0" style="display: inline-table;">
-                  <tr>
-                    <td style="padding: 0 5px;">
-                      <a href="tel:+916238495077" style="background: #10b981; color: white; padding: 12px 20px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block; margin: 5px;">
-                        📞 Call: +91 62384 95077
-                      </a>
-                    </td>
-                    <td style="padding: 0 5px;">
-                      <a href="https://wa.me/916238495077?text=Hi, I just submitted a contact form and need immediate assistance." style="background: #25d366; color: white; padding: 12px 20px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block; margin: 5px;">
-                        💬 WhatsApp Us
-                      </a>
-                    </td>
-                    <td style="padding: 0 5px;">
-                      <a href="mailto:taxndtaxes@gmail.com?subject=Urgent: Follow-up on contact form submission" style="background: #6366f1; color: white; padding: 12px 20px; text-decoration: none; border-radius: 8px; font-weight: 600; display: inline-block; margin: 5px;">
-                        ✉️ Direct Email
-                      </a>
-                    </td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-          </table>
-          
-          <p style="margin: 20px 0 0 0; color: #64748b; font-size: 14px; font-weight: 500;">
-            <strong>Business Hours:</strong> Monday to Saturday, 9:00 AM - 8:00 PM (IST)
-          </p>
-        </div>
-        
-        <!-- Company Highlights -->
-        <div style="background: linear-gradient(135deg, #1e293b, #334155); color: white; padding: 30px; border-radius: 12px; text-align: center; margin-bottom: 20px;">
-          <h3 style="margin: 0 0 25px 0; font-size: 20px; font-weight: 600;">🏆 Why Choose Tax And Taxes?</h3>
-          
-          <table width="100%" cellpadding="0" cellspacing="0" border="0">
-            <tr>
-              <!-- Achievement 1 -->
-              <td width="25%" align="center" style="padding: 15px; vertical-align: top;">
-                <div style="font-size: 32px; margin-bottom: 10px;">✅</div>
-                <div style="font-weight: 700; font-size: 16px; margin-bottom: 5px;">98.5% Success Rate</div>
-                <div style="font-size: 13px; opacity: 0.8;">Accurate filings</div>
-              </td>
-              
-              <!-- Achievement 2 -->
-              <td width="25%" align="center" style="padding: 15px; vertical-align: top;">
-                <div style="font-size: 32px; margin-bottom: 10px;">⚡</div>
-                <div style="font-weight: 700; font-size: 16px; margin-bottom: 5px;">24hr Processing</div>
-                <div style="font-size: 13px; opacity: 0.8;">Quick turnaround</div>
-              </td>
-              
-              <!-- Achievement 3 -->
-              <td width="25%" align="center" style="padding: 15px; vertical-align: top;">
-                <div style="font-size: 32px; margin-bottom: 10px;">🔒</div>
-                <div style="font-weight: 700; font-size: 16px; margin-bottom: 5px;">100% Secure</div>
-                <div style="font-size: 13px; opacity: 0.8;">Bank-grade security</div>
-              </td>
-              
-              <!-- Achievement 4 -->
-              <td width="25%" align="center" style="padding: 15px; vertical-align: top;">
-                <div style="font-size: 32px; margin-bottom: 10px;">👨‍💼</div>
-                <div style="font-weight: 700; font-size: 16px; margin-bottom: 5px;">Expert CAs</div>
-                <div style="font-size: 13px; opacity: 0.8;">22+ years of experience</div>
-              </td>
-            </tr>
-          </table>
-        </div>
-        
-        <!-- Footer -->
-        <div style="text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; line-height: 1.6;">
-          <div style="background: white; padding: 25px; border-radius: 12px; margin-bottom: 15px; border: 1px solid #e2e8f0;">
-            <p style="margin: 0 0 10px 0; font-weight: 600; color: #374151;">This is an automated confirmation email from Tax And Taxes.</p>
-            <p style="margin: 0; color: #64748b;">Please do not reply to this email. For support, use the contact methods above.</p>
-          </div>
-          
-          <div style="padding: 20px; border-top: 2px solid #e2e8f0;">
-            <table width="100%" cellpadding="0" cellspacing="0" border="0">
-              <tr>
-                <td align="center">
-                  <p style="margin: 0 0 5px 0; font-weight: 700; color: #1e293b; font-size: 16px;">Tax And Taxes</p>
-                  <p style="margin: 0; color: #64748b; font-size: 14px; font-style: italic;">Making tax filing simple, accurate, and stress-free!</p>
-                </td>
-              </tr>
-            </table>
-          </div>
-        </div>
-      </div>
-    `,
-  };
+// Delete uploaded files for a rejected submission
+const removeUploadedFiles = (files) => {
+  files.forEach(file => {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
+    });
+  });
 };
 
+// Per-IP and per-email limits, so nobody can flood the inbox or the Cashfree API (see services/rateLimit.js)
+const contactIpLimit = rateLimit({
+  name: 'contact-ip',
+  limit: RATE_LIMITS.contactIp,
+  message: 'Too many submissions from your network. Please try again later or contact us on WhatsApp.'
+});
+const contactEmailLimit = rateLimit({
+  name: 'contact-email',
+  limit: RATE_LIMITS.contactEmail,
+  key: emailKey('email'),
+  message: 'Too many submissions for this email address. Please try again later or contact us on WhatsApp.'
+});
+const paymentIpLimit = rateLimit({ name: 'payment-ip', limit: RATE_LIMITS.paymentIp });
+const reuploadIpLimit = rateLimit({ name: 'reupload-ip', limit: RATE_LIMITS.reuploadIp });
+const paymentEmailLimit = rateLimit({ name: 'payment-email', limit: RATE_LIMITS.paymentEmail, key: emailKey('customerEmail') });
+
 // API endpoint to handle form submissions with file uploads
-app.post('/api/contact', upload.any(), async (req, res) => {
+app.post('/api/contact', contactIpLimit, requireCaptchaHeader, limitUploads(upload), contactEmailLimit, requireCaptcha, validateBody(contactSchema), attachUploadSession(uploadsDir), inspectUploads, async (req, res) => {
+  let clientId = null;
+  let bundle = null;
+  let paymentInfo = null;
+  
   try {
     const formData = req.body;
     const uploadedFiles = req.files;
     
-    // Generate unique client ID
-    const clientId = generateClientId();
-    
-    // Validate required fields
-    if (!formData.name || !formData.email || !formData.phone || !formData.service) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields' 
-      });
-    }
-
     // Get all uploaded files (using upload.any() gives us an array directly)
     const allFiles = uploadedFiles || [];
     
-    // Validate mandatory file uploads
-    const aadharCardFiles = allFiles.filter(file => file.fieldname.startsWith('aadharCard'));
-    if (aadharCardFiles.length === 0) {
+    // Validate the documents this service needs (see services/documentRequirements.js)
+    const missingDocuments = findMissingDocuments(formData.service, allFiles);
+    if (missingDocuments.length > 0) {
       // Clean up any uploaded files if validation fails
-      allFiles.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
-        });
-      });
+      removeUploadedFiles(allFiles);
       
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Aadhar Card upload is mandatory. Please upload your Aadhar Card to continue.' 
-      });
+      return sendValidationError(res, new ValidationError(missingDocuments.map(document => ({
+        field: document.field,
+        code: 'REQUIRED',
+        message: `${document.label} upload is mandatory for ${formData.service}. Please upload your ${document.label} to continue.`
+      }))));
     }
 
-    // Extract payment information if provided
-    const paymentInfo = formData.paymentId ? {
-      paymentId: formData.paymentId,
-      orderId: formData.orderId,
-      amount: formData.paymentAmount,
-      transactionId: formData.transactionId || formData.paymentId,
-      orderStatus: formData.orderStatus || 'PAID'
-    } : null;
+    clientId = await generateClientId();
+
+    // Verify the payment on the server - the browser's paymentId and amount are never trusted
+    if (formData.paymentId || formData.orderId) {
+      try {
+        paymentInfo = await verifySubmissionPayment({
+          orderId: formData.orderId,
+          service: formData.service,
+          clientId
+        }).catch((error) => {
+          if (error instanceof PaymentVerificationError) throw error;
+          
+          // Only when Cashfree could not be reached - accept the submission but flag it for manual review
+          return flagUnverifiedPayment({
+            orderId: formData.orderId,
+            service: formData.service,
+            clientId,
+            reported: formData,
+            error
+          });
+        });
+      } catch (error) {
+        if (!(error instanceof PaymentVerificationError)) throw error;
+        
+        console.warn(`🚫 Payment verification failed for ${formData.name}: ${error.message}`);
+        removeUploadedFiles(allFiles);
+        
+        return res.status(error.status).json({ 
+          success: false, 
+          error: error.message,
+          code: error.code
+        });
+      }
+    }
 
     console.log(`📄 Processing submission for ${formData.name} with ${allFiles.length} files`);
     console.log(`🆔 Generated Client ID: ${clientId}`);
@@ -800,56 +267,104 @@ app.post('/api/contact', upload.any(), async (req, res) => {
       });
     }
 
-    // Send emails with retry mechanism
-    const emailResult = await sendEmailsWithRetry(formData, allFiles, clientId, paymentInfo);
+    // Compress and auto-orient photos (OPTIMIZE_UPLOAD_IMAGES)
+    if (IMAGE_OPTIMIZATION.enabled) {
+      for (const file of allFiles) {
+        await optimizeImage(file);
+      }
+    }
+
+    // Merge everything into one PDF for review (DOCUMENT_BUNDLE); the submission goes ahead without it on failure
+    if (DOCUMENT_BUNDLE.enabled && allFiles.length > 0) {
+      try {
+        bundle = await createDocumentBundle({ clientId, formData, paymentInfo, files: allFiles, directory: uploadsDir });
+      } catch (error) {
+        console.error(`❌ Failed to bundle documents for Client ID ${clientId}:`, error.message);
+      }
+    }
+    const documents = bundle ? [...allFiles, bundle] : allFiles;
+
+    // Encrypt the uploads into document storage (the plaintext copies are deleted)
+    // and record who owns them and when they expire
+    for (const file of documents) {
+      await storeDocument(file, clientId);
+    }
+    await retention.trackDocuments(clientId, documents);
+
+    // Persist the submission before any email goes out so a restart can't lose it
+    await submissions.recordSubmission({ clientId, formData, files: documents, paymentInfo });
+
+    // Number a tax invoice for a verified payment (INVOICE_GSTIN); the customer's email goes out without it on failure
+    let invoice = null;
+    if (INVOICE_CONFIG.enabled && paymentInfo?.verified) {
+      try {
+        const record = await issueInvoice({ clientId, formData, paymentInfo });
+        invoice = { ...record, attachment: await createInvoiceAttachment(record) };
+      } catch (error) {
+        console.error(`❌ Failed to issue an invoice for Client ID ${clientId}:`, error.message);
+      }
+    }
+
+    // Queue emails in the outbox (documents are deleted by the retention sweeper)
+    const emailResult = await queueSubmissionEmails(formData, allFiles, clientId, paymentInfo, bundle, invoice);
+    
+    // A payment flagged UNVERIFIED (Cashfree was unreachable) is confirmed later by the webhook
+    const paymentPending = Boolean(paymentInfo) && !paymentInfo.verified;
+    const paymentNote = paymentPending
+      ? ' We are still confirming your payment and will email you as soon as it is verified.'
+      : '';
     
     if (emailResult.success) {
-      // Schedule file cleanup after 30 minutes (only after successful email delivery)
-      if (allFiles.length > 0) {
-        scheduleFileCleanup(allFiles, clientId);
-      }
-      
       res.json({ 
         success: true, 
-        message: `Thank you! Your tax filing request has been submitted successfully with Client ID: ${clientId}. Our team will contact you within 24 hours to process your documents and begin your ITR filing.`,
+        message: `Thank you! Your tax filing request has been submitted successfully with Client ID: ${clientId}. Our team will contact you within 24 hours to process your documents and begin your ITR filing.${paymentNote}`,
         clientId: clientId,
-        documentsReceived: allFiles.length
+        documentsReceived: allFiles.length,
+        ...(paymentInfo ? { paymentStatus: paymentPending ? 'pending' : 'completed' } : {})
       });
-    } else if (emailResult.willRetry && paymentInfo) {
-      // Payment was successful, but email failed - retry system is activated
-      console.log(`💳 Payment successful for ${formData.name}, but email delivery failed. Auto-retry system activated for Client ID: ${clientId}`);
+    } else if (paymentInfo) {
+      // The payment was taken, but email failed - the outbox worker keeps retrying
+      console.log(`💳 Payment ${paymentPending ? 'awaiting confirmation' : 'successful'} for ${formData.name}, but email delivery failed. Outbox will retry for Client ID: ${clientId}`);
       
-      // Don't clean up files immediately - keep them for email retries
       res.json({ 
         success: true, 
-        message: `Payment successful! Your tax filing request has been submitted with Client ID: ${clientId}. You will receive email confirmation shortly. Our team will contact you within 24 hours.`,
+        message: paymentPending
+          ? `Thank you! Your tax filing request has been submitted with Client ID: ${clientId}.${paymentNote} Our team will contact you within 24 hours.`
+          : `Payment successful! Your tax filing request has been submitted with Client ID: ${clientId}. You will receive email confirmation shortly. Our team will contact you within 24 hours.`,
         clientId: clientId,
         documentsReceived: allFiles.length,
-        paymentStatus: 'completed',
+        paymentStatus: paymentPending ? 'pending' : 'completed',
         emailStatus: 'retrying'
       });
     } else {
-      // Both payment and email failed, or payment failed
-      throw new Error(emailResult.error || 'Email delivery failed');
+      // The submission is stored and its emails are queued, so the inquiry isn't lost
+      console.log(`📮 Email delivery failed for ${formData.name}. Outbox will retry for Client ID: ${clientId}`);
+      
+      res.json({ 
+        success: true, 
+        message: `Thank you! Your request has been submitted with Client ID: ${clientId}. You will receive email confirmation shortly. Our team will contact you within 24 hours.`,
+        clientId: clientId,
+        documentsReceived: allFiles.length,
+        emailStatus: 'retrying'
+      });
     }
     
   } catch (error) {
     console.error('❌ Error processing form submission:', error);
     
-    // Clean up uploaded files immediately if email sending fails
-    const allFiles = req.files || [];
-    if (allFiles.length > 0) {
-      console.log(`🧹 Email sending failed, cleaning up ${allFiles.length} files immediately - Client ID: ${generateClientId()}`);
-      
-      allFiles.forEach(file => {
-        fs.unlink(file.path, (err) => {
-          if (err) {
-            console.error(`❌ Error deleting file ${file.originalname}:`, err.message);
-          } else {
-            console.log(`🗑️ Cleaned up file immediately: ${file.originalname}`);
-          }
-        });
-      });
+    // Clean up the uploaded files immediately unless the submission was saved -
+    // a saved submission keeps its documents until the retention sweeper removes them
+    const allFiles = [...(req.files || []), ...(bundle ? [bundle] : [])];
+    const saved = clientId ? await submissions.getSubmission(clientId).catch(() => null) : null;
+    if (allFiles.length > 0 && !saved) {
+      console.log(`🧹 Submission failed, cleaning up ${allFiles.length} files immediately - Client ID: ${clientId}`);
+      await retention.discardFiles(clientId, allFiles);
+    }
+    
+    // The order was claimed for this Client ID before the save - hand it back so the payment can be reused
+    if (paymentInfo?.orderId && clientId && !saved) {
+      await releaseOrder(paymentInfo.orderId, clientId)
+        .catch((releaseError) => console.error(`⚠️ Could not release order ${paymentInfo.orderId}:`, releaseError.message));
     }
     
     res.status(500).json({ 
@@ -859,52 +374,146 @@ app.post('/api/contact', upload.any(), async (req, res) => {
   }
 });
 
+// Documents added to an existing Client ID through the signed link from a document request
+// (see services/documentUploads.js). The link is checked before any file is read.
+const requireUploadLink = async (req, res, next) => {
+  try {
+    req.upload = await authorizeUpload({
+      clientId: req.params.clientId,
+      requestId: req.query.request,
+      expires: req.query.expires,
+      signature: req.query.signature
+    });
+    next();
+  } catch (error) {
+    if (error instanceof DocumentUploadError) {
+      console.warn(`🚫 Rejected upload link for Client ID ${req.params.clientId}: ${error.code}`);
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    next(error);
+  }
+};
+
+// What the upload page should ask for
+app.get('/api/submissions/:clientId/documents', reuploadIpLimit, requireUploadLink, (req, res) => {
+  res.set('Cache-Control', 'private, no-store');
+  res.json({ success: true, request: describeRequest(req.upload.submission, req.upload.request) });
+});
+
+app.post('/api/submissions/:clientId/documents', reuploadIpLimit, requireUploadLink, limitUploads(upload), validateBody(uploadDocumentsSchema), attachUploadSession(uploadsDir), inspectUploads, async (req, res) => {
+  const { submission, request } = req.upload;
+  const files = req.files || [];
+
+  // Same document fieldnames as /api/contact
+  const errors = files.length === 0
+    ? [{ field: 'documents', code: 'REQUIRED', message: 'Please choose at least one document to upload.' }]
+    : files.filter(file => !documentTypeFor(file.fieldname)).map(file => ({
+        field: file.fieldname,
+        code: 'UNKNOWN_DOCUMENT',
+        message: `${file.originalname} was not uploaded as a known document type.`
+      }));
+  if (errors.length > 0) {
+    removeUploadedFiles(files);
+    return sendValidationError(res, new ValidationError(errors));
+  }
+
+  try {
+    await receiveDocuments({ submission, request, files, message: req.body.message || null });
+    res.json({
+      success: true,
+      message: `Thank you! We've received ${files.length} document${files.length === 1 ? '' : 's'} for Client ID: ${submission.clientId}.`,
+      clientId: submission.clientId,
+      documentsReceived: files.length
+    });
+  } catch (error) {
+    console.error(`❌ Error adding documents for Client ID ${submission.clientId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload your documents. Please try again or contact us directly.'
+    });
+  }
+});
+
 // Create Cashfree payment order
-app.post('/api/create-payment-order', async (req, res) => {
+app.post('/api/create-payment-order', paymentIpLimit, paymentEmailLimit, requireCaptcha, validateBody(createPaymentOrderSchema), async (req, res) => {
   try {
-    const { amount, customerName, customerEmail, customerPhone, service } = req.body;
+    const { amount, customerName, customerEmail, customerPhone, service, couponCode } = req.body;
+    
+    // Price the order on the server - never trust the amount posted by the browser
+    let quote;
+    try {
+      quote = quoteForService(service, couponCode);
+    } catch (error) {
+      if (error instanceof PricingError) {
+        console.log(`🚫 Rejected payment order for ${customerName}: ${error.message}`);
+        return res.status(400).json({ success: false, error: error.message, code: error.code });
+      }
+      throw error;
+    }
+    
+    if (amount !== undefined && amount !== null && amount !== '' && !amountMatchesQuote(amount, quote)) {
+      console.log(`🚫 Amount mismatch for ${customerName} - ${service}: client sent ₹${amount}, expected ₹${quote.total}`);
+      return res.status(400).json({
+        success: false,
+        error: 'Amount does not match the price for the selected service',
+        code: 'AMOUNT_MISMATCH',
+        expectedAmount: quote.total,
+        breakdown: quote
+      });
+    }
     
-    // Generate unique order ID
-    const orderId = generateOrderId();
+    // Unique order ID, and the customer's ID from any earlier orders
+    const orderId = await generateOrderId();
+    const customerId = await getCustomerId({ email: customerEmail, phone: customerPhone });
     
     // Cashfree order creation payload
     const orderData = {
       order_id: orderId,
-      order_amount: amount,
-      order_currency: 'INR',
+      order_amount: quote.total,
+      order_currency: quote.currency,
       customer_details: {
-        customer_id: `CUST_${Date.now()}`,
+        customer_id: customerId,
         customer_name: customerName,
         customer_email: customerEmail,
         customer_phone: customerPhone
       },
       order_meta: {
-        return_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/payment-success`,
-        notify_url: `${process.env.BACKEND_URL || 'http://localhost:3001'}/api/payment-webhook`,
+        return_url: `${config.server.frontendUrl}/payment-success`,
+        notify_url: `${config.server.backendUrl}/api/payment-webhook`,
         payment_methods: ''
       },
-      order_note: `Payment for ${service} - Tax And Taxes`
+      order_note: `Payment for ${service} - Tax And Taxes`,
+      order_tags: {
+        service,
+        catalogue_version: quote.catalogueVersion,
+        coupon_code: quote.couponCode || ''
+      }
     };
 
-    console.log(`🔄 Creating payment order for ${customerName} - Amount: ₹${amount}`);
+    console.log(`🔄 Creating payment order for ${customerName} - Amount: ₹${quote.total} (catalogue ${quote.catalogueVersion})`);
     
     // Create order with Cashfree
-    const response = await axios.post(`${cashfreeConfig.baseUrl}/orders`, orderData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-version': '2025-01-01',
-        'x-client-id': cashfreeConfig.appId,
-        'x-client-secret': cashfreeConfig.secretKey
-      }
-    });
+    const cashfreeOrder = await cashfree.createOrder(orderData);
 
     console.log(`✅ Payment order created successfully: ${orderId}`);
     
+    await submissions.recordOrder({
+      orderId,
+      service,
+      amount: quote.total,
+      quote,
+      customer: { customerId, name: customerName, email: customerEmail, phone: customerPhone },
+      cfOrderId: cashfreeOrder.cf_order_id || null,
+      status: cashfreeOrder.order_status || 'ACTIVE'
+    });
+    
     res.json({
       success: true,
       orderId: orderId,
-      paymentSessionId: response.data.payment_session_id,
-      orderToken: response.data.order_token
+      paymentSessionId: cashfreeOrder.payment_session_id,
+      orderToken: cashfreeOrder.order_token,
+      amount: quote.total,
+      breakdown: quote
     });
 
   } catch (error) {
@@ -918,27 +527,24 @@ app.post('/api/create-payment-order', async (req, res) => {
 });
 
 // Verify payment status
-app.post('/api/verify-payment', async (req, res) => {
+app.post('/api/verify-payment', paymentIpLimit, validateBody(verifyPaymentSchema), async (req, res) => {
   try {
     const { orderId } = req.body;
     
     console.log(`🔍 Verifying payment for order: ${orderId}`);
     
     // Get payment status from Cashfree
-    const response = await axios.get(`${cashfreeConfig.baseUrl}/orders/${orderId}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-version': '2025-01-01',
-        'x-client-id': cashfreeConfig.appId,
-        'x-client-secret': cashfreeConfig.secretKey
-      }
-    });
-
-    const order = response.data;
+    const order = await cashfree.getOrder(orderId);
     const isSuccess = order.order_status === 'PAID';
     
     console.log(`${isSuccess ? '✅' : '❌'} Payment verification: ${orderId} - Status: ${order.order_status}`);
     
+    await submissions.updateOrder(orderId, {
+      status: order.order_status,
+      paymentId: order.payment_group?.payments?.[0]?.cf_payment_id || null,
+      verifiedAt: new Date().toISOString()
+    });
+    
     res.json({
       success: true,
       paymentSuccess: isSuccess,
@@ -958,51 +564,113 @@ app.post('/api/verify-payment', async (req, res) => {
 });
 
 // Payment webhook (for server-to-server notifications)
-app.post('/api/payment-webhook', (req, res) => {
+// This is the authoritative source of payment status - the browser's paymentId is only a hint
+app.post('/api/payment-webhook', async (req, res) => {
   try {
-    const paymentData = req.body;
-    console.log('📨 Payment webhook received:', paymentData);
-    
-    // Here you can add additional logic like updating database, sending notifications, etc.
-    // For now, we'll just log it
-    
-    res.json({ success: true });
+    verifyWebhookSignature({
+      rawBody: req.rawBody,
+      signature: req.get('x-webhook-signature'),
+      timestamp: req.get('x-webhook-timestamp'),
+      secretKey: config.cashfree.secretKey
+    });
+  } catch (error) {
+    if (error instanceof WebhookVerificationError) {
+      console.warn(`🚫 Rejected payment webhook: ${error.message}`);
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    console.error('❌ Payment webhook verification error:', error);
+    return res.status(500).json({ success: false });
+  }
+
+  try {
+    const event = req.body;
+    const eventId = getEventId(req.headers, req.rawBody);
+    const result = await processWebhookEvent({ eventId, event });
+
+    if (result.duplicate) {
+      console.log(`♻️ Duplicate payment webhook ignored: ${eventId}`);
+    } else if (result.ignored) {
+      console.log(`📨 Payment webhook ${event.type} recorded (no order update)`);
+    } else {
+      console.log(`📨 Payment webhook ${event.type} - Order: ${result.orderId} - Status: ${result.order?.status}`);
+    }
+
+    res.json({ success: true, duplicate: result.duplicate });
   } catch (error) {
     console.error('❌ Payment webhook error:', error);
     res.status(500).json({ success: false });
   }
 });
 
+// Admin API (refunds, audit log and other operator actions)
+app.use('/api/admin', adminRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/status', statusRoutes);
+
+// Admin dashboard for ops staff
+app.use('/admin', createAdminDashboard({ retryEmails: (clientId) => retryPendingEmails(clientId) }));
+
+// Documents required for each service, so the frontend can render the right upload fields
+app.get('/api/document-requirements', (req, res) => {
+  const { service } = req.query;
+  if (!service) {
+    return res.json({ success: true, services: listRequirements() });
+  }
+  
+  const requirements = getRequirements(service);
+  if (!requirements) {
+    return res.status(404).json({ success: false, error: `Unknown service: ${service}`, code: 'UNKNOWN_SERVICE' });
+  }
+  res.json({ success: true, ...requirements });
+});
+
+// Captcha settings for the frontend: the provider and site key, or a fresh proof-of-work challenge
+app.get('/api/captcha', (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...getCaptchaVerifier().describe() });
+  } catch (error) {
+    console.error('❌ Captcha is misconfigured:', error.message);
+    res.status(503).json({ success: false, error: 'Verification is temporarily unavailable', code: 'CAPTCHA_UNAVAILABLE' });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'Email server is running!', timestamp: new Date().toISOString() });
 });
 
-// Email retry monitoring endpoint
-app.get('/api/email-retries', (req, res) => {
+// Email retry monitoring endpoint - messages that have failed at least once and are not yet sent
+app.get('/api/email-retries', adminAccess('viewer', 'email-retries.view'), async (req, res) => {
   try {
     const now = Date.now();
-    const retries = [];
-    
-    for (const [clientId, retryData] of pendingEmailRetries.entries()) {
-      retries.push({
-        clientId,
-        customerName: retryData.formData.name,
-        customerEmail: retryData.formData.email,
-        service: retryData.formData.service,
-        retryCount: retryData.retryCount,
-        createdAt: new Date(retryData.createdAt).toISOString(),
-        ageMinutes: Math.round((now - retryData.createdAt) / 60000),
-        paymentAmount: retryData.paymentInfo?.amount,
-        paymentId: retryData.paymentInfo?.paymentId
-      });
-    }
+    const jobs = await outbox.listJobs(job => job.status === 'dead' || (job.status !== 'sent' && job.attempts > 0));
+    const retries = jobs
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(job => ({
+        jobId: job.id,
+        clientId: job.clientId,
+        kind: job.kind,
+        to: job.message.to,
+        status: job.status,
+        customerName: job.meta.customerName,
+        customerEmail: job.meta.customerEmail,
+        service: job.meta.service,
+        retryCount: job.attempts,
+        createdAt: job.createdAt,
+        ageMinutes: Math.round((now - new Date(job.createdAt).getTime()) / 60000),
+        nextRetryAt: job.nextAttemptAt,
+        lastError: job.lastError,
+        paymentAmount: job.meta.paymentAmount,
+        paymentId: job.meta.paymentId
+      }));
     
     res.json({
       success: true,
-      totalPendingRetries: retries.length,
+      totalPendingRetries: retries.filter(retry => retry.status !== 'dead').length,
+      totalDeadLetters: retries.filter(retry => retry.status === 'dead').length,
       retries: retries,
-      retryConfig: EMAIL_RETRY_CONFIG
+      retryConfig: outbox.OUTBOX_CONFIG
     });
   } catch (error) {
     console.error('❌ Error getting email retries:', error);
@@ -1010,8 +678,23 @@ app.get('/api/email-retries', (req, res) => {
   }
 });
 
+// Retry a client's unsent emails (including dead letters) right away
+// Resolves to the email result, or null when the client ID has nothing left to send
+const retryPendingEmails = async (clientId) => {
+  const jobs = await outbox.requeueClientJobs(clientId);
+  if (!jobs) {
+    return null;
+  }
+  
+  return {
+    success: jobs.every(job => job.status === 'sent'),
+    willRetry: jobs.some(job => job.status === 'pending'),
+    messages: jobs.map(job => ({ jobId: job.id, kind: job.kind, status: job.status, attempts: job.attempts, error: job.lastError }))
+  };
+};
+
 // Manual email retry trigger endpoint
-app.post('/api/retry-email', async (req, res) => {
+app.post('/api/retry-email', adminAccess('operator', 'email.retry', req => req.body.clientId), async (req, res) => {
   try {
     const { clientId } = req.body;
     
@@ -1019,30 +702,16 @@ app.post('/api/retry-email', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Client ID is required' });
     }
     
-    const retryData = pendingEmailRetries.get(clientId);
-    if (!retryData) {
+    console.log(`🔄 Manual email retry triggered by ${req.admin.id} for Client ID: ${clientId}`);
+    
+    const result = await retryPendingEmails(clientId);
+    if (!result) {
       return res.status(404).json({ 
         success: false, 
-        error: `No pending email retry found for Client ID: ${clientId}` 
+        error: `No unsent emails found for Client ID: ${clientId}` 
       });
     }
     
-    console.log(`🔄 Manual email retry triggered for Client ID: ${clientId}`);
-    
-    // Cancel existing timeout
-    if (retryData.timeoutId) {
-      clearTimeout(retryData.timeoutId);
-    }
-    
-    // Trigger immediate retry
-    const result = await sendEmailsWithRetry(
-      retryData.formData, 
-      retryData.files, 
-      retryData.clientId, 
-      retryData.paymentInfo, 
-      retryData.retryCount
-    );
-    
     res.json({
       success: true,
       clientId: clientId,
@@ -1058,49 +727,36 @@ app.post('/api/retry-email', async (req, res) => {
   }
 });
 
-// Test cleanup endpoint (development only)
-if (process.env.NODE_ENV !== 'production') {
-  app.post('/api/test-cleanup', async (req, res) => {
-    try {
-      const { files, clientId } = req.body;
-      
-      console.log(`🧪 Test cleanup requested for Client ID: ${clientId}`);
-      
-      if (files && files.length > 0) {
-        // Schedule immediate cleanup for testing (1 second delay)
-        setTimeout(() => {
-          cleanupFiles(files, clientId);
-        }, 1000);
-        
-        res.json({ 
-          success: true, 
-          message: `Test cleanup scheduled for ${files.length} files`,
-          clientId: clientId 
-        });
-      } else {
-        res.json({ 
-          success: false, 
-          message: 'No files provided for cleanup test' 
-        });
-      }
-    } catch (error) {
-      console.error('❌ Test cleanup error:', error);
-      res.status(500).json({ success: false, error: 'Test cleanup failed' });
-    }
-  });
-}
-
 // For Vercel deployment - export the app
 module.exports = app;
 
 // Start the server (for both development and production)
 app.listen(PORT, () => {
   console.log(`🚀 Email server running on port ${PORT}`);
-  console.log(`📧 Admin email: ${process.env.ADMIN_EMAIL || 'taxndtaxes@gmail.com'}`);
-  console.log(`📧 Email user: ${process.env.EMAIL_USER || 'NOT SET'}`);
-  console.log(`🔑 Email pass configured: ${process.env.EMAIL_PASS ? 'YES' : 'NO'}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`📧 Admin email: ${config.mail.adminEmail || 'NOT SET'}`);
+  console.log(`📧 Email from: ${defaultFrom || 'NOT SET'}`);
+  console.log(`📮 Mail transports: ${transportNames().join(' → ')}`);
+  try {
+    getMasterKey();
+    getDocumentStorage();
+  } catch (error) {
+    console.error(`❌ Document storage is not ready - uploads will be rejected: ${error.message}`);
+  }
+  try {
+    getRateLimitStore();
+    getCaptchaVerifier();
+  } catch (error) {
+    console.error(`❌ Abuse protection is misconfigured: ${error.message}`);
+  }
+  console.log(`🌍 Environment: ${config.server.environment}`);
   console.log('✅ Ready to handle contact form submissions!');
+  
+  outbox.startWorker().catch(error => {
+    console.error('❌ Failed to start email outbox worker:', error);
+  });
+  retention.startSweeper({ uploadsDir }).catch(error => {
+    console.error('❌ Failed to start retention sweeper:', error);
+  });
 }).on('error', (err) => {
   console.error('❌ Server startup error:', err);
 }); 
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { audit } = require('../services/auditLog');
+const { parseCookies } = require('../utils/html');
+const { config } = require('../config');
+
+// Admin authentication for monitoring and operational routes
+// Credentials are either an API key (`x-admin-key` header) or a signed HS256 JWT
+// (`Authorization: Bearer <token>`, or the dashboard's session cookie). Every principal has a role:
+//   viewer   - read-only access to monitoring data
+//   operator - viewer access plus actions such as retries and refunds
+const ROLE_LEVELS = {
+  viewer: 1,
+  operator: 2
+};
+
+const ADMIN_SESSION_COOKIE = 'tt_admin_session';
+
+// ADMIN_API_KEYS=name:role:key,name:role:key  (ADMIN_API_KEY is accepted as a single operator key),
+// parsed and checked in config.js
+const loadApiKeys = () => config.admin.apiKeys;
+
+const safeEqual = (a, b) => {
+  const aBuffer = Buffer.from(String(a));
+  const bBuffer = Buffer.from(String(b));
+  return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+};
+
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const hmacSignature = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Issue an admin JWT (used by scripts/create-admin-token.js)
+const signAdminToken = ({ sub, role, expiresInSeconds = 8 * 60 * 60 }, secret = config.admin.jwtSecret) => {
+  if (!secret) throw new Error('ADMIN_JWT_SECRET is not set');
+  if (!ROLE_LEVELS[role]) throw new Error(`Unknown admin role: ${role}`);
+  if (!Number.isFinite(expiresInSeconds) || expiresInSeconds <= 0) throw new Error('Admin tokens need a positive lifetime');
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlJson({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64UrlJson({ sub, role, iat: now, exp: now + expiresInSeconds });
+  return `${header}.${payload}.${hmacSignature(`${header}.${payload}`, secret)}`;
+};
+
+// Returns the token's claims, or null if it is malformed, forged or expired.
+// A token without a numeric `exp` is refused: it would never expire and could only be revoked
+// by rotating ADMIN_JWT_SECRET.
+const verifyAdminToken = (token, secret = config.admin.jwtSecret) => {
+  if (!secret || !token) return null;
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+  if (!safeEqual(signature, hmacSignature(`${header}.${payload}`, secret))) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+
+    if (alg !== 'HS256') return null;
+    if (typeof claims.exp !== 'number' || !Number.isFinite(claims.exp) || claims.exp < now) return null;
+    if (claims.nbf && claims.nbf > now) return null;
+    if (!claims.sub || !ROLE_LEVELS[claims.role]) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isAdminAuthConfigured = () => loadApiKeys().length > 0 || Boolean(config.admin.jwtSecret);
+
+// Look up an API key; returns { id, role } or null
+const findApiKey = (providedKey) => {
+  if (!providedKey) return null;
+  const match = loadApiKeys().find(({ key }) => safeEqual(key, providedKey));
+  return match ? { id: match.id, role: match.role } : null;
+};
+
+// Work out who is calling from the request's credentials; returns { id, role, method } or null
+const resolveAdmin = (req) => {
+  const apiKey = findApiKey(req.get('x-admin-key'));
+  if (apiKey) {
+    return { ...apiKey, method: 'api-key' };
+  }
+
+  const authorization = req.get('authorization') || '';
+  const sessionToken = parseCookies(req.get('cookie'))[ADMIN_SESSION_COOKIE];
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length).trim()
+    : sessionToken;
+  const claims = verifyAdminToken(token);
+  if (claims) {
+    return { id: claims.sub, role: claims.role, method: authorization ? 'jwt' : 'session' };
+  }
+
+  return null;
+};
+
+// Sets req.admin = { id, role, method } or rejects the request
+const authenticateAdmin = (req, res, next) => {
+  if (!isAdminAuthConfigured()) {
+    return res.status(503).json({ success: false, error: 'Admin API is not configured' });
+  }
+
+  const admin = resolveAdmin(req);
+  if (admin) {
+    req.admin = admin;
+    return next();
+  }
+
+  console.warn(`🚫 Admin authentication failed for ${req.method} ${req.originalUrl} from ${req.ip}`);
+  res.status(401).json({ success: false, error: 'Admin authentication required' });
+};
+
+// Allow the request only if the caller's role is at least `role`
+const requireRole = (role) => (req, res, next) => {
+  if (!req.admin || ROLE_LEVELS[req.admin.role] < ROLE_LEVELS[role]) {
+    return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+  }
+  next();
+};
+
+// Full middleware chain for an admin route: audit first so rejected attempts are logged too
+const adminAccess = (role, action, getTarget = null) => [
+  audit(action, getTarget),
+  authenticateAdmin,
+  requireRole(role)
+];
+
+module.exports = {
+  ROLE_LEVELS,
+  ADMIN_SESSION_COOKIE,
+  isAdminAuthConfigured,
+  findApiKey,
+  resolveAdmin,
+  authenticateAdmin,
+  requireRole,
+  adminAccess,
+  signAdminToken,
+  verifyAdminToken
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { getCaptchaVerifier, CaptchaUnavailableError } = require('../services/captcha');
+
+const removeUploads = (req) => {
+  for (const file of req.files || []) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
+    });
+  }
+};
+
+// Verify `token`, responding with an error (and deleting any uploads) when it doesn't pass
+const verifyToken = async (req, res, next, token) => {
+  try {
+    const verifier = getCaptchaVerifier();
+    if (verifier.name === 'none') {
+      return next();
+    }
+
+    if (!token) {
+      removeUploads(req);
+      return res.status(400).json({ success: false, error: 'Please complete the verification challenge', code: 'CAPTCHA_REQUIRED' });
+    }
+
+    const { success, reason } = await verifier.verify(String(token), { ip: req.ip });
+    if (success) {
+      req.captchaVerified = true;
+      return next();
+    }
+
+    console.warn(`🤖 Captcha rejected for ${req.ip} on ${req.method} ${req.path}: ${reason || 'failed'}`);
+    removeUploads(req);
+    res.status(403).json({ success: false, error: 'Verification failed. Please try again.', code: 'CAPTCHA_FAILED' });
+  } catch (error) {
+    removeUploads(req);
+    if (error instanceof CaptchaUnavailableError) {
+      console.error('❌ Captcha verification unavailable:', error.message);
+      return res.status(503).json({ success: false, error: 'Verification is temporarily unavailable. Please try again shortly.', code: error.code });
+    }
+    console.error('❌ Captcha check error:', error);
+    res.status(500).json({ success: false, error: 'Verification failed' });
+  }
+};
+
+// Check the captcha token from the X-Captcha-Token header or the `captchaToken` field.
+// The field is removed from the body so it is never stored with the submission.
+// A request already verified by requireCaptchaHeader is let through (tokens are single-use).
+const requireCaptcha = (req, res, next) => {
+  const token = req.get('X-Captcha-Token') || req.body?.captchaToken;
+  if (req.body) delete req.body.captchaToken;
+
+  if (req.captchaVerified) {
+    return next();
+  }
+  return verifyToken(req, res, next, token);
+};
+
+// For upload routes, before the upload middleware: a token sent in the X-Captcha-Token header is
+// checked before any file is received. Without the header the request goes on and requireCaptcha
+// checks the `captchaToken` field once the form has been read.
+const requireCaptchaHeader = (req, res, next) => {
+  const token = req.get('X-Captcha-Token');
+  if (!token) {
+    return next();
+  }
+  return verifyToken(req, res, next, token);
+};
+
+module.exports = {
+  requireCaptcha,
+  requireCaptchaHeader
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { getRateLimitStore } = require('../services/rateLimit');
+
+// Rate limit middleware: `limit` is { max, windowMs } (see services/rateLimit.js) and `key`
+// picks what is counted - the client IP by default. Requests whose key is empty are not limited.
+// Blocked requests get a 429 with Retry-After.
+// IP limits go before the upload middleware, so a blocked client never gets a file written to disk.
+// Only limits keyed on a form field (emailKey) have to run after multer; they delete the uploads
+// of a request they block.
+const rateLimit = ({ name, limit, key = req => req.ip, message = 'Too many requests. Please try again later.' }) => {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await getRateLimitStore().hit(`${name}:${value}`, limit.windowMs);
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(limit.max));
+      res.set('RateLimit-Remaining', String(Math.max(0, limit.max - count)));
+      res.set('RateLimit-Reset', String(retryAfter));
+
+      if (count <= limit.max) {
+        return next();
+      }
+
+      for (const file of req.files || []) {
+        fs.unlink(file.path, (err) => {
+          if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
+        });
+      }
+
+      console.warn(`🚦 Rate limit ${name} exceeded by ${value} (${count}/${limit.max}) on ${req.method} ${req.path}`);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({ success: false, error: message, code: 'RATE_LIMITED', retryAfter });
+    } catch (error) {
+      // A broken store must not take the API down with it
+      console.error(`❌ Rate limit store error (${name}):`, error.message);
+      next();
+    }
+  };
+};
+
+// Key for per-email (or per client ID) limits, from the (not yet validated) request body
+const emailKey = (field) => req => String(req.body?.[field] || '').replace(/\s/g, '').toLowerCase();
+
+module.exports = {
+  rateLimit,
+  emailKey
+};
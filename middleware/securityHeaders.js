@@ -0,0 +1,121 @@
+const { config } = require('../config');
+
+// Security headers and CORS for every response
+// The Content-Security-Policy, HSTS, Referrer-Policy and the CORS allowlist are all built here
+// from config.security, so there is one place to change them.
+
+// Cashfree's checkout SDK and hosted pages differ between the sandbox and production
+const CASHFREE_SOURCES = {
+  common: ['https://sdk.cashfree.com', 'https://js.cashfree.com', 'https://cdn.cashfree.com'],
+  PROD: ['https://api.cashfree.com', 'https://payments.cashfree.com'],
+  TEST: ['https://sandbox.cashfree.com', 'https://payments-test.cashfree.com']
+};
+
+// Widget hosts for the captcha provider in use (see services/captcha.js)
+const CAPTCHA_SOURCES = {
+  turnstile: ['https://challenges.cloudflare.com'],
+  hcaptcha: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+  recaptcha: ['https://www.google.com', 'https://www.gstatic.com']
+};
+
+const SECURITY_CONFIG = {
+  cors: {
+    // `https://*.example.com` matches any subdomain
+    origins: config.security.corsOrigins
+  },
+  csp: {
+    ...config.security.csp,
+    cashfreeEnvironment: config.cashfree.environment,
+    captchaProvider: config.captcha.provider
+  },
+  hsts: config.security.hsts,
+  referrerPolicy: config.security.referrerPolicy
+};
+
+const buildContentSecurityPolicy = ({ cashfreeEnvironment, captchaProvider, extra, reportUri } = SECURITY_CONFIG.csp) => {
+  const cashfree = [...CASHFREE_SOURCES.common, ...CASHFREE_SOURCES[cashfreeEnvironment]];
+  const captcha = CAPTCHA_SOURCES[captchaProvider] || [];
+
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", ...cashfree, ...captcha],
+    'connect-src': ["'self'", ...cashfree, ...captcha],
+    'frame-src': ["'self'", ...cashfree, ...captcha],
+    'form-action': ["'self'", ...cashfree],
+    // The admin dashboard uses inline styles
+    'style-src': ["'self'", "'unsafe-inline'", ...cashfree, ...captcha],
+    'img-src': ["'self'", 'data:', 'blob:', ...cashfree],
+    'font-src': ["'self'", 'data:', ...cashfree],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'frame-ancestors': ["'none'"]
+  };
+  for (const [directive, sources] of Object.entries(extra || {})) {
+    directives[directive] = [...new Set([...directives[directive], ...sources])];
+  }
+
+  const policy = Object.entries(directives).map(([directive, sources]) => `${directive} ${sources.join(' ')}`);
+  if (reportUri) {
+    policy.push(`report-uri ${reportUri}`, 'report-to csp-endpoint');
+  }
+  return policy.join('; ');
+};
+
+const CONTENT_SECURITY_POLICY = buildContentSecurityPolicy();
+
+const hstsHeader = ({ maxAge, includeSubDomains, preload } = SECURITY_CONFIG.hsts) => [
+  `max-age=${maxAge}`,
+  ...(includeSubDomains ? ['includeSubDomains'] : []),
+  ...(preload ? ['preload'] : [])
+].join('; ');
+
+const securityHeaders = (req, res, next) => {
+  const { csp, hsts, referrerPolicy } = SECURITY_CONFIG;
+
+  res.setHeader(csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  if (csp.reportUri) {
+    res.setHeader('Reporting-Endpoints', `csp-endpoint="${csp.reportUri}"`);
+  }
+  if (hsts.maxAge > 0) {
+    res.setHeader('Strict-Transport-Security', hstsHeader());
+  }
+  res.setHeader('Referrer-Policy', referrerPolicy);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  // frame-ancestors covers modern browsers; X-Frame-Options is for older ones
+  res.setHeader('X-Frame-Options', 'DENY');
+  next();
+};
+
+const originPattern = (origin) => new RegExp(`^${origin
+  .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '[^./]+')}$`);
+
+const ALLOWED_ORIGINS = SECURITY_CONFIG.cors.origins.map(originPattern);
+
+const isAllowedOrigin = (origin) => ALLOWED_ORIGINS.some(pattern => pattern.test(origin));
+
+// Options for the `cors` package. A blocked origin simply gets no CORS headers, so the browser
+// refuses the response instead of the server failing the request.
+const corsOptions = {
+  origin: (origin, callback) => {
+    // Allow requests with no origin (like mobile apps or curl requests)
+    if (!origin || isAllowedOrigin(origin)) {
+      return callback(null, true);
+    }
+    console.log(`CORS: Blocked origin ${origin}`);
+    callback(null, false);
+  },
+  credentials: true,
+  optionsSuccessStatus: 200,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Captcha-Token', 'Upload-Offset', 'Upload-Checksum'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Upload-Offset']
+};
+
+module.exports = {
+  SECURITY_CONFIG,
+  buildContentSecurityPolicy,
+  securityHeaders,
+  isAllowedOrigin,
+  corsOptions
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { FileInspectionError, inspectFile } = require('../services/fileInspection');
+const { ScanUnavailableError, scanFile } = require('../services/malwareScan');
+const { quarantineFile } = require('../services/quarantine');
+const { ValidationError } = require('../services/validation');
+const { sendValidationError } = require('./validate');
+const { config } = require('../config');
+
+// ALLOWED_FILE_TYPES as sniffed types - image/jpg is only an alias browsers send for image/jpeg
+const ALLOWED_TYPES = config.uploads.allowedTypes.map(type => (type === 'image/jpg' ? 'image/jpeg' : type));
+
+const removeFiles = (files) => Promise.all(files.map(file =>
+  fs.promises.unlink(file.path).catch(err => {
+    console.error(`Error deleting file ${file.originalname}:`, err.message);
+  })
+));
+
+// Check what a file really is and give it the matching extension and mimetype
+// (also on the original name, which is used for email attachments)
+const verifyContent = async (file) => {
+  const { detectedType, extension } = inspectFile(await fs.promises.readFile(file.path), file.originalname, ALLOWED_TYPES);
+
+  const filename = `${file.filename}${extension}`;
+  const filePath = path.join(path.dirname(file.path), filename);
+  await fs.promises.rename(file.path, filePath);
+
+  const originalExtension = path.extname(file.originalname);
+  const sameType = originalExtension.toLowerCase() === extension ||
+    (extension === '.jpg' && originalExtension.toLowerCase() === '.jpeg');
+  const originalname = sameType
+    ? file.originalname
+    : `${path.basename(file.originalname, originalExtension)}${extension}`;
+
+  Object.assign(file, { filename, path: filePath, mimetype: detectedType, originalname });
+};
+
+// Runs after multer: every upload must pass the content checks and the malware scan.
+// Files that fail are quarantined and the request is rejected with one error per file.
+const inspectUploads = async (req, res, next) => {
+  const files = req.files || [];
+  const submitter = { name: req.body?.name, email: req.body?.email, ip: req.ip };
+  const accepted = [];
+  const errors = [];
+
+  try {
+    for (const file of files) {
+      try {
+        await verifyContent(file);
+      } catch (error) {
+        if (!(error instanceof FileInspectionError)) throw error;
+        await quarantineFile(file, {
+          code: error.code,
+          message: error.message,
+          detectedType: error.detectedType,
+          submitter
+        });
+        errors.push({ field: file.fieldname, code: error.code, message: error.message });
+        continue;
+      }
+
+      const result = await scanFile(file.path);
+      if (!result.clean) {
+        const message = `${file.originalname} was flagged by our virus scanner and could not be accepted.`;
+        await quarantineFile(file, {
+          code: 'MALWARE_DETECTED',
+          message,
+          signature: result.signature,
+          detectedType: file.mimetype,
+          submitter
+        });
+        errors.push({ field: file.fieldname, code: 'MALWARE_DETECTED', message });
+        continue;
+      }
+      accepted.push(file);
+    }
+  } catch (error) {
+    // Quarantined files have already been moved; everything else is discarded
+    await removeFiles(files.filter(file => fs.existsSync(file.path)));
+
+    if (error instanceof ScanUnavailableError) {
+      console.error(`❌ ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: 'Uploaded files could not be scanned right now. Please try again in a few minutes.',
+        code: error.code
+      });
+    }
+    return next(error);
+  }
+
+  if (errors.length > 0) {
+    await removeFiles(accepted);
+    return sendValidationError(res, new ValidationError(errors));
+  }
+  next();
+};
+
+module.exports = {
+  inspectUploads
+};
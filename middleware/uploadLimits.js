@@ -0,0 +1,78 @@
+const fs = require('fs');
+const multer = require('multer');
+const { config } = require('../config');
+
+// Caps on multipart uploads: per-file size and file count are enforced by multer while the
+// request streams in, the total size is checked from Content-Length up front and again once
+// the files are on disk. Every rejection is a JSON error instead of Express's HTML error page.
+const UPLOAD_LIMITS = {
+  maxFileSize: config.uploads.maxFileSize,
+  maxFiles: config.uploads.maxFiles,
+  maxTotalSize: config.uploads.maxTotalSize,
+  // Text fields only - documents are the only large part of a submission
+  maxFieldSize: 64 * 1024
+};
+
+// Room for the multipart boundaries and text fields on top of the files
+const MULTIPART_OVERHEAD = 1024 * 1024;
+
+const toMB = (bytes) => Math.round(bytes / 1024 / 1024);
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, code: 'FILE_TOO_LARGE', message: () => `Each file must be ${toMB(UPLOAD_LIMITS.maxFileSize)}MB or smaller` },
+  LIMIT_FILE_COUNT: { status: 413, code: 'TOO_MANY_FILES', message: () => `Please upload at most ${UPLOAD_LIMITS.maxFiles} files` },
+  LIMIT_FIELD_VALUE: { status: 413, code: 'FIELD_TOO_LARGE', message: () => 'A form field is too long' }
+};
+
+const tooLarge = (res) => res.status(413).json({
+  success: false,
+  error: `Uploads must total ${toMB(UPLOAD_LIMITS.maxTotalSize)}MB or less`,
+  code: 'UPLOAD_TOO_LARGE'
+});
+
+// Wrap a multer instance's upload.any() with the total-size check and JSON errors
+const limitUploads = (upload) => {
+  const receive = upload.any();
+
+  return (req, res, next) => {
+    const declaredLength = Number(req.get('Content-Length')) || 0;
+    if (declaredLength > UPLOAD_LIMITS.maxTotalSize + MULTIPART_OVERHEAD) {
+      console.warn(`🚫 Rejected ${toMB(declaredLength)}MB upload from ${req.ip} before reading it`);
+      // Close the connection so the rest of the body isn't read
+      res.set('Connection', 'close');
+      return tooLarge(res);
+    }
+
+    receive(req, res, (error) => {
+      if (error) {
+        // multer has already removed any files it stored for this request
+        const known = error instanceof multer.MulterError ? MULTER_ERRORS[error.code] : null;
+        console.warn(`🚫 Upload rejected from ${req.ip}: ${error.message}`);
+        if (known) {
+          return res.status(known.status).json({ success: false, error: known.message(), code: known.code });
+        }
+        if (error instanceof multer.MulterError) {
+          return res.status(400).json({ success: false, error: error.message, code: 'INVALID_UPLOAD' });
+        }
+        return res.status(400).json({ success: false, error: error.message, code: 'UNSUPPORTED_FILE_TYPE' });
+      }
+
+      const files = req.files || [];
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      if (totalSize > UPLOAD_LIMITS.maxTotalSize) {
+        files.forEach(file => {
+          fs.unlink(file.path, (err) => {
+            if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
+          });
+        });
+        return tooLarge(res);
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  UPLOAD_LIMITS,
+  limitUploads
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const { UploadSessionError, claimSession, finishSession, releaseSession } = require('../services/uploadSessions');
+
+// Adds the files of a completed upload session (`uploadSessionId`, see services/uploadSessions.js) to
+// req.files. Runs after validateBody and before inspectUploads, so session files get the same checks as
+// multipart ones. The session is removed once the request succeeds; after a failure it can be used again.
+const attachUploadSession = (directory) => async (req, res, next) => {
+  const sessionId = req.body?.uploadSessionId;
+  if (!sessionId) {
+    return next();
+  }
+
+  try {
+    const files = await claimSession(sessionId, { directory, alongside: req.files || [] });
+    req.files = [...(req.files || []), ...files];
+  } catch (error) {
+    if (!(error instanceof UploadSessionError)) {
+      return next(error);
+    }
+    for (const file of req.files || []) {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
+      });
+    }
+    console.warn(`🚫 Upload session ${sessionId} rejected for ${req.method} ${req.path}: ${error.code}`);
+    return res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+  }
+
+  res.on('close', () => {
+    const done = res.writableFinished && res.statusCode < 400 ? finishSession(sessionId) : releaseSession(sessionId);
+    done.catch(error => console.error(`❌ Error closing upload session ${sessionId}:`, error.message));
+  });
+  next();
+};
+
+module.exports = {
+  attachUploadSession
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const { validate, ValidationError } = require('../services/validation');
+
+// Respond with the per-field errors in the shape every API route uses
+const sendValidationError = (res, error) => res.status(error.status).json({
+  success: false,
+  error: error.message,
+  code: error.code,
+  errors: error.errors
+});
+
+// Validate req.body against a schema and replace it with the normalised values.
+// Uploaded files of a rejected multipart request are deleted straight away.
+const validateBody = (schema) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body || {});
+  if (errors.length === 0) {
+    req.body = value;
+    return next();
+  }
+
+  for (const file of req.files || []) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`Error deleting file ${file.originalname}:`, err.message);
+    });
+  }
+
+  console.log(`🚫 Validation failed for ${req.method} ${req.path}: ${errors.map(error => error.field).join(', ')}`);
+  sendValidationError(res, new ValidationError(errors));
+};
+
+module.exports = {
+  validateBody,
+  sendValidationError
+};
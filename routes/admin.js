@@ -0,0 +1,234 @@
+const express = require('express');
+const { adminAccess } = require('../middleware/adminAuth');
+const { listAdminActions } = require('../services/auditLog');
+const refunds = require('../services/refunds');
+const { listQuarantined } = require('../services/quarantine');
+const retention = require('../services/retention');
+const { listCspReports } = require('../services/cspReports');
+const submissionStatus = require('../services/submissionStatus');
+const documentUploads = require('../services/documentUploads');
+const invoices = require('../services/invoices');
+const { issueRefundSchema, updateStageSchema, requestDocumentsSchema } = require('../services/requestSchemas');
+const { validateBody } = require('../middleware/validate');
+const { configWarnings, redactedConfig } = require('../config');
+
+// Admin API - mounted under /api/admin
+const router = express.Router();
+
+// Issue a full or partial refund (optionally cancelling the submission)
+router.post('/refunds', adminAccess('operator', 'refund.issue', req => req.body.clientId), validateBody(issueRefundSchema), async (req, res) => {
+  try {
+    const { clientId, amount, reason, cancel } = req.body;
+
+    const refund = await refunds.issueRefund({
+      clientId,
+      amount,
+      reason,
+      operator: req.admin.id,
+      cancel: cancel === true || cancel === 'true'
+    });
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    if (error instanceof refunds.RefundError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Error issuing refund:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue refund' });
+  }
+});
+
+// Move a submission to a later stage; the customer is emailed about the change
+router.post('/submissions/:clientId/stage', adminAccess('operator', 'submission.stage', req => req.params.clientId), validateBody(updateStageSchema), async (req, res) => {
+  try {
+    const { stage, acknowledgementNumber, note } = req.body;
+    const submission = await submissionStatus.advanceStage({
+      clientId: req.params.clientId,
+      stage,
+      acknowledgementNumber,
+      note,
+      operator: req.admin.id
+    });
+
+    res.json({ success: true, status: submissionStatus.describeStatus(submission) });
+  } catch (error) {
+    if (error instanceof submissionStatus.SubmissionStatusError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Error updating submission stage:', error);
+    res.status(500).json({ success: false, error: 'Failed to update submission stage' });
+  }
+});
+
+// Ask the customer for more documents; they are emailed a signed upload link
+router.post('/submissions/:clientId/document-requests', adminAccess('operator', 'submission.request-documents', req => req.params.clientId), validateBody(requestDocumentsSchema), async (req, res) => {
+  try {
+    const { request, link } = await documentUploads.requestDocuments({
+      clientId: req.params.clientId,
+      documents: req.body.documents,
+      note: req.body.note,
+      operator: req.admin.id
+    });
+
+    res.json({ success: true, request, uploadUrl: link.url });
+  } catch (error) {
+    if (error instanceof documentUploads.DocumentUploadError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Error requesting documents:', error);
+    res.status(500).json({ success: false, error: 'Failed to request documents' });
+  }
+});
+
+// Issue the tax invoice for a verified payment that doesn't have one yet (returns the existing one otherwise)
+router.post('/submissions/:clientId/invoice', adminAccess('operator', 'invoice.issue', req => req.params.clientId), async (req, res) => {
+  try {
+    const invoice = await invoices.issueInvoiceForClient(req.params.clientId);
+    res.json({ success: true, invoice });
+  } catch (error) {
+    if (error instanceof invoices.InvoiceError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Error issuing invoice:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue invoice' });
+  }
+});
+
+// Download a submission's tax invoice as a PDF
+router.get('/submissions/:clientId/invoice', adminAccess('viewer', 'invoice.download', req => req.params.clientId), async (req, res) => {
+  try {
+    const invoice = await invoices.getInvoiceForClient(req.params.clientId);
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: `No invoice found for Client ID: ${req.params.clientId}`, code: 'INVOICE_NOT_FOUND' });
+    }
+
+    res.attachment(invoices.invoiceFilename(invoice));
+    res.type('application/pdf');
+    res.send(await invoices.renderInvoicePdf(invoice));
+  } catch (error) {
+    console.error('❌ Error downloading invoice:', error);
+    res.status(500).json({ success: false, error: 'Failed to download invoice' });
+  }
+});
+
+// Tax invoices in number order, optionally for one financial year (?financialYear=2026-27)
+router.get('/invoices', adminAccess('viewer', 'invoice.list'), async (req, res) => {
+  try {
+    const list = await invoices.listInvoices({ financialYear: req.query.financialYear || null });
+    res.json({ success: true, totalInvoices: list.length, invoices: list });
+  } catch (error) {
+    console.error('❌ Error listing invoices:', error);
+    res.status(500).json({ success: false, error: 'Failed to list invoices' });
+  }
+});
+
+// List refunds, optionally for a single client ID
+router.get('/refunds', adminAccess('viewer', 'refund.list', req => req.query.clientId), async (req, res) => {
+  try {
+    const { clientId } = req.query;
+    const list = clientId
+      ? await refunds.listRefundsForClient(clientId)
+      : await refunds.listRefunds();
+
+    res.json({ success: true, totalRefunds: list.length, refunds: list });
+  } catch (error) {
+    console.error('❌ Error listing refunds:', error);
+    res.status(500).json({ success: false, error: 'Failed to list refunds' });
+  }
+});
+
+// Refund details; pass ?refresh=true to pull the latest status from Cashfree
+router.get('/refunds/:refundId', adminAccess('viewer', 'refund.view', req => req.params.refundId), async (req, res) => {
+  try {
+    const { refundId } = req.params;
+    if (req.query.refresh === 'true' && req.admin.role !== 'operator') {
+      return res.status(403).json({ success: false, error: 'This action requires the operator role' });
+    }
+
+    const refund = req.query.refresh === 'true'
+      ? await refunds.refreshRefundStatus(refundId)
+      : await refunds.getRefund(refundId);
+
+    if (!refund) {
+      return res.status(404).json({ success: false, error: `Refund ${refundId} not found` });
+    }
+
+    res.json({ success: true, refund });
+  } catch (error) {
+    if (error instanceof refunds.RefundError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Error getting refund status:', error.response?.data || error.message);
+    res.status(500).json({ success: false, error: 'Failed to get refund status' });
+  }
+});
+
+// Uploads held back by the content checks or the malware scanner, newest first
+router.get('/quarantine', adminAccess('viewer', 'quarantine.list'), async (req, res) => {
+  try {
+    const files = await listQuarantined();
+    res.json({ success: true, totalFiles: files.length, files });
+  } catch (error) {
+    console.error('❌ Error listing quarantined files:', error);
+    res.status(500).json({ success: false, error: 'Failed to list quarantined files' });
+  }
+});
+
+// Documents deleted under the retention policy, newest first, with the policy in force
+router.get('/retention/log', adminAccess('viewer', 'retention.log', req => req.query.clientId), async (req, res) => {
+  try {
+    const { clientId, reason } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const deletions = await retention.listDeletions({ clientId, reason, limit });
+
+    res.json({ success: true, policy: retention.describePolicy(), totalDeletions: deletions.length, deletions });
+  } catch (error) {
+    console.error('❌ Error reading retention log:', error);
+    res.status(500).json({ success: false, error: 'Failed to read retention log' });
+  }
+});
+
+// Run the retention sweeper now instead of waiting for the next interval
+router.post('/retention/sweep', adminAccess('operator', 'retention.sweep'), async (req, res) => {
+  try {
+    const summary = await retention.sweep();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('❌ Error running retention sweep:', error);
+    res.status(500).json({ success: false, error: 'Failed to run retention sweep' });
+  }
+});
+
+// Content-Security-Policy violations reported by browsers, newest first
+router.get('/csp-reports', adminAccess('viewer', 'csp-report.list'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const reports = await listCspReports({ directive: req.query.directive, limit });
+
+    res.json({ success: true, totalReports: reports.length, reports });
+  } catch (error) {
+    console.error('❌ Error listing CSP reports:', error);
+    res.status(500).json({ success: false, error: 'Failed to list CSP reports' });
+  }
+});
+
+// The effective configuration with secrets redacted, plus any warnings raised at startup
+router.get('/config', adminAccess('operator', 'config.view'), (req, res) => {
+  res.json({ success: true, config: redactedConfig(), warnings: configWarnings });
+});
+
+// Recent admin actions, newest first
+router.get('/audit-log', adminAccess('operator', 'audit-log.view'), async (req, res) => {
+  try {
+    const { actor, action, target } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const entries = await listAdminActions({ actor, action, target, limit });
+
+    res.json({ success: true, totalEntries: entries.length, entries });
+  } catch (error) {
+    console.error('❌ Error reading audit log:', error);
+    res.status(500).json({ success: false, error: 'Failed to read audit log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,297 @@
+const express = require('express');
+const {
+  ADMIN_SESSION_COOKIE,
+  findApiKey,
+  resolveAdmin,
+  signAdminToken
+} = require('../middleware/adminAuth');
+const { audit } = require('../services/auditLog');
+const submissions = require('../services/submissions');
+const refunds = require('../services/refunds');
+const { packagePricing } = require('../services/pricing');
+const { documentExists, readDocument } = require('../services/documentVault');
+const views = require('../views/admin');
+const submissionStatus = require('../services/submissionStatus');
+const { validate } = require('../services/validation');
+const documentUploads = require('../services/documentUploads');
+const invoices = require('../services/invoices');
+const { DOCUMENT_TYPES } = require('../services/documentRequirements');
+const { updateStageSchema, requestDocumentsSchema } = require('../services/requestSchemas');
+const { config } = require('../config');
+
+// Server-rendered admin dashboard - mounted under /admin
+const SESSION_HOURS = 8;
+const PAGE_SIZE = 50;
+
+const NOTICES = {
+  'retry-sent': { message: 'Emails sent successfully!' },
+  'retry-scheduled': { message: 'Email retry failed. Auto-retry scheduled.', error: true },
+  'retry-failed': { message: 'Email retry failed. No more retries will be attempted.', error: true },
+  'retry-missing': { message: 'No unsent emails for this submission.', error: true },
+  'stage-updated': { message: 'Stage updated. The customer has been emailed.' },
+  'stage-invalid': { message: 'Stage not changed: ITR filed needs the 15-digit acknowledgement number, and notes are limited to 500 characters.', error: true },
+  'stage-rejected': { message: 'Stage not changed: the submission is cancelled or has already reached that stage.', error: true },
+  'stage-failed': { message: 'Failed to update the stage. Please try again.', error: true },
+  'documents-requested': { message: 'Documents requested. The customer has been emailed an upload link.' },
+  'documents-invalid': { message: 'Documents not requested: choose at least one document, and notes are limited to 500 characters.', error: true },
+  'documents-rejected': { message: 'Documents not requested: the submission is cancelled.', error: true },
+  'documents-failed': { message: 'Failed to request documents. Please try again.', error: true }
+};
+
+// Payment state shown in the dashboard: the order record wins over what the submission saw
+const paymentStatusFor = (submission, order) => {
+  if (!submission.paymentInfo) return 'UNPAID';
+  if (!submission.paymentInfo.verified) return 'UNVERIFIED';
+  return order?.status || submission.paymentInfo.orderStatus;
+};
+
+const setSessionCookie = (res, token, maxAgeSeconds) => {
+  const secure = config.server.isProduction ? '; Secure' : '';
+  res.setHeader(
+    'Set-Cookie',
+    `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${secure}`
+  );
+};
+
+// `retryEmails(clientId)` triggers the same retry as POST /api/retry-email
+// and resolves to the email result, or null when nothing is pending
+const createAdminDashboard = ({ retryEmails }) => {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false, limit: '10kb' }));
+
+  // Pages redirect to the sign-in form instead of returning JSON errors
+  const requireSession = (role = 'viewer') => (req, res, next) => {
+    const admin = resolveAdmin(req);
+    if (!admin) {
+      return res.redirect('/admin/login');
+    }
+    req.admin = admin;
+    if (role === 'operator' && admin.role !== 'operator') {
+      return res.status(403).send(views.renderLoginPage({ error: 'This action requires the operator role' }));
+    }
+    next();
+  };
+
+  router.get('/login', (req, res) => {
+    if (resolveAdmin(req)) {
+      return res.redirect('/admin');
+    }
+    res.send(views.renderLoginPage());
+  });
+
+  router.post('/login', audit('dashboard.login'), (req, res) => {
+    if (!config.admin.jwtSecret) {
+      return res.status(503).send(views.renderLoginPage({ error: 'Dashboard sign-in requires ADMIN_JWT_SECRET to be configured.' }));
+    }
+
+    const apiKey = findApiKey(req.body.apiKey);
+    if (!apiKey) {
+      console.warn(`🚫 Admin dashboard sign-in failed from ${req.ip}`);
+      return res.status(401).send(views.renderLoginPage({ error: 'Invalid admin key' }));
+    }
+
+    req.admin = { ...apiKey, method: 'session' };
+    const token = signAdminToken({ sub: apiKey.id, role: apiKey.role, expiresInSeconds: SESSION_HOURS * 60 * 60 });
+    setSessionCookie(res, token, SESSION_HOURS * 60 * 60);
+    res.redirect('/admin');
+  });
+
+  router.post('/logout', (req, res) => {
+    setSessionCookie(res, '', 0);
+    res.redirect('/admin/login');
+  });
+
+  // Submission list with search, filters and pagination
+  router.get('/', audit('dashboard.submissions.list'), requireSession(), async (req, res) => {
+    try {
+      const filters = {
+        q: String(req.query.q || '').trim(),
+        service: String(req.query.service || ''),
+        payment: String(req.query.payment || ''),
+        email: String(req.query.email || '')
+      };
+      const search = filters.q.toLowerCase();
+
+      const [allSubmissions, orders] = await Promise.all([
+        submissions.listSubmissions(),
+        submissions.listOrders()
+      ]);
+      const ordersById = new Map(orders.map(order => [order.orderId, order]));
+
+      const rows = allSubmissions
+        .map(submission => {
+          const order = ordersById.get(submission.orderId);
+          return {
+            clientId: submission.clientId,
+            createdAt: submission.createdAt,
+            name: submission.formData.name,
+            email: submission.formData.email,
+            phone: submission.formData.phone,
+            service: submission.formData.service,
+            paymentStatus: paymentStatusFor(submission, order),
+            amount: order?.paymentAmount ?? submission.paymentInfo?.amount,
+            emailStatus: submission.email?.status,
+            retryCount: submission.email?.retryCount,
+            documentCount: (submission.documents || []).length
+          };
+        })
+        .filter(row =>
+          (!search || [row.clientId, row.name, row.email, row.phone]
+            .some(value => String(value || '').toLowerCase().includes(search))) &&
+          (!filters.service || row.service === filters.service) &&
+          (!filters.payment || row.paymentStatus === filters.payment) &&
+          (!filters.email || row.emailStatus === filters.email)
+        )
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+      const totalPages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+      const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), totalPages);
+
+      res.send(views.renderSubmissionList({
+        admin: req.admin,
+        rows: rows.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+        filters,
+        services: Object.keys(packagePricing),
+        page,
+        totalPages,
+        total: rows.length
+      }));
+    } catch (error) {
+      console.error('❌ Error rendering admin submission list:', error);
+      res.status(500).send('Failed to load submissions');
+    }
+  });
+
+  router.get('/submissions/:clientId', audit('dashboard.submission.view', req => req.params.clientId), requireSession(), async (req, res) => {
+    try {
+      const submission = await submissions.getSubmission(req.params.clientId);
+      if (!submission) {
+        return res.status(404).send('Submission not found');
+      }
+
+      const order = submission.orderId ? await submissions.getOrder(submission.orderId) : null;
+      submission.documents = await Promise.all((submission.documents || []).map(async document => ({
+        ...document,
+        available: await documentExists(document).catch(() => false)
+      })));
+
+      res.send(views.renderSubmissionDetail({
+        admin: req.admin,
+        submission,
+        order,
+        refunds: await refunds.listRefundsForClient(submission.clientId),
+        paymentStatus: paymentStatusFor(submission, order),
+        progress: submissionStatus.describeStatus(submission),
+        stages: submissionStatus.STAGES,
+        documentTypes: DOCUMENT_TYPES,
+        notice: NOTICES[req.query.notice] || null
+      }));
+    } catch (error) {
+      console.error('❌ Error rendering admin submission detail:', error);
+      res.status(500).send('Failed to load submission');
+    }
+  });
+
+  router.get('/submissions/:clientId/documents/:index', audit('dashboard.document.download', req => req.params.clientId), requireSession(), async (req, res) => {
+    try {
+      const submission = await submissions.getSubmission(req.params.clientId);
+      const document = submission?.documents?.[parseInt(req.params.index, 10)];
+      if (!document || !(await documentExists(document))) {
+        return res.status(404).send('Document not found');
+      }
+
+      res.attachment(document.originalname);
+      res.type(document.mimetype);
+      res.send(await readDocument(document));
+    } catch (error) {
+      console.error('❌ Error downloading document:', error);
+      res.status(500).send('Failed to download document');
+    }
+  });
+
+  router.get('/submissions/:clientId/invoice', audit('dashboard.invoice.download', req => req.params.clientId), requireSession(), async (req, res) => {
+    try {
+      const invoice = await invoices.getInvoiceForClient(req.params.clientId);
+      if (!invoice) {
+        return res.status(404).send('Invoice not found');
+      }
+
+      res.attachment(invoices.invoiceFilename(invoice));
+      res.type('application/pdf');
+      res.send(await invoices.renderInvoicePdf(invoice));
+    } catch (error) {
+      console.error('❌ Error downloading invoice:', error);
+      res.status(500).send('Failed to download invoice');
+    }
+  });
+
+  router.post('/submissions/:clientId/retry-email', audit('email.retry', req => req.params.clientId), requireSession('operator'), async (req, res) => {
+    const { clientId } = req.params;
+    const detailUrl = `/admin/submissions/${encodeURIComponent(clientId)}`;
+
+    try {
+      console.log(`🔄 Dashboard email retry triggered by ${req.admin.id} for Client ID: ${clientId}`);
+      const result = await retryEmails(clientId);
+
+      const notice = !result
+        ? 'retry-missing'
+        : result.success ? 'retry-sent' : result.willRetry ? 'retry-scheduled' : 'retry-failed';
+      res.redirect(`${detailUrl}?notice=${notice}`);
+    } catch (error) {
+      console.error('❌ Error in dashboard email retry:', error);
+      res.redirect(`${detailUrl}?notice=retry-failed`);
+    }
+  });
+
+  router.post('/submissions/:clientId/stage', audit('submission.stage', req => req.params.clientId), requireSession('operator'), async (req, res) => {
+    const { clientId } = req.params;
+    const detailUrl = `/admin/submissions/${encodeURIComponent(clientId)}`;
+
+    const { value, errors } = validate(updateStageSchema, {
+      stage: req.body.stage,
+      acknowledgementNumber: req.body.acknowledgementNumber,
+      note: req.body.note
+    });
+    if (errors.length > 0) {
+      return res.redirect(`${detailUrl}?notice=stage-invalid`);
+    }
+
+    try {
+      await submissionStatus.advanceStage({ clientId, ...value, operator: req.admin.id });
+      res.redirect(`${detailUrl}?notice=stage-updated`);
+    } catch (error) {
+      if (error instanceof submissionStatus.SubmissionStatusError) {
+        return res.redirect(`${detailUrl}?notice=${error.code === 'ACKNOWLEDGEMENT_REQUIRED' ? 'stage-invalid' : 'stage-rejected'}`);
+      }
+      console.error('❌ Error in dashboard stage update:', error);
+      res.redirect(`${detailUrl}?notice=stage-failed`);
+    }
+  });
+
+  router.post('/submissions/:clientId/document-requests', audit('submission.request-documents', req => req.params.clientId), requireSession('operator'), async (req, res) => {
+    const { clientId } = req.params;
+    const detailUrl = `/admin/submissions/${encodeURIComponent(clientId)}`;
+
+    const { value, errors } = validate(requestDocumentsSchema, { note: req.body.note });
+    if (errors.length > 0) {
+      return res.redirect(`${detailUrl}?notice=documents-invalid`);
+    }
+
+    try {
+      await documentUploads.requestDocuments({ clientId, documents: req.body.documents, ...value, operator: req.admin.id });
+      res.redirect(`${detailUrl}?notice=documents-requested`);
+    } catch (error) {
+      if (error instanceof documentUploads.DocumentUploadError) {
+        return res.redirect(`${detailUrl}?notice=${error.code === 'SUBMISSION_CANCELLED' ? 'documents-rejected' : 'documents-invalid'}`);
+      }
+      console.error('❌ Error in dashboard document request:', error);
+      res.redirect(`${detailUrl}?notice=documents-failed`);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAdminDashboard
+};
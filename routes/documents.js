@@ -0,0 +1,43 @@
+const express = require('express');
+const submissions = require('../services/submissions');
+const { audit } = require('../services/auditLog');
+const { documentExists, readDocument, verifyDownloadLink } = require('../services/documentVault');
+
+// Signed document download links sent in admin emails - mounted under /api/documents
+// Downloads are audited like admin actions (with no actor, since the signature is the credential)
+const router = express.Router();
+
+router.get('/:clientId/:documentId', audit('document.download', req => req.params.clientId), async (req, res) => {
+  const { clientId, documentId } = req.params;
+  const { expires, signature } = req.query;
+
+  try {
+    const check = verifyDownloadLink({ clientId, documentId, expires, signature });
+    if (check !== 'valid') {
+      console.warn(`🚫 Rejected ${check} document link for Client ID: ${clientId}`);
+      return res.status(check === 'expired' ? 410 : 403).json({
+        success: false,
+        error: check === 'expired'
+          ? 'This download link has expired. Open the submission in the admin dashboard instead.'
+          : 'Invalid download link',
+        code: check === 'expired' ? 'LINK_EXPIRED' : 'INVALID_SIGNATURE'
+      });
+    }
+
+    const submission = await submissions.getSubmission(clientId);
+    const document = submission?.documents?.find(item => item.documentId === documentId);
+    if (!document || !(await documentExists(document))) {
+      return res.status(404).json({ success: false, error: 'Document not found', code: 'DOCUMENT_NOT_FOUND' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(document.originalname);
+    res.type(document.mimetype);
+    res.send(await readDocument(document));
+  } catch (error) {
+    console.error('❌ Error serving document download:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to download document' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { ValidationError } = require('../services/validation');
+const { statusLookupSchema, statusCodeSchema } = require('../services/requestSchemas');
+const { describeStatus, findByEmail, findByCode, sendStatusCode } = require('../services/submissionStatus');
+const { RATE_LIMITS } = require('../services/rateLimit');
+const { rateLimit, emailKey } = require('../middleware/rateLimit');
+const { requireCaptcha } = require('../middleware/captcha');
+const { validateBody, sendValidationError } = require('../middleware/validate');
+
+// Customer-facing submission status - mounted under /api/status
+// A lookup needs the client ID plus the submission's email address or a one-time code emailed to it.
+// Unknown client IDs and wrong emails get the same answer so client IDs can't be probed.
+const router = express.Router();
+
+const statusIpLimit = rateLimit({ name: 'status-ip', limit: RATE_LIMITS.statusIp });
+const statusClientLimit = rateLimit({
+  name: 'status-client',
+  limit: RATE_LIMITS.statusClient,
+  key: emailKey('clientId'),
+  message: 'Too many status checks for this Client ID. Please try again later.'
+});
+const statusCodeLimit = rateLimit({
+  name: 'status-code',
+  limit: RATE_LIMITS.statusCode,
+  key: emailKey('clientId'),
+  message: 'Too many codes requested for this Client ID. Please check your email or try again later.'
+});
+
+router.post('/', statusIpLimit, statusClientLimit, validateBody(statusLookupSchema), async (req, res) => {
+  const { clientId, email, code } = req.body;
+  if (!email && !code) {
+    return sendValidationError(res, new ValidationError([{
+      field: 'email',
+      code: 'REQUIRED',
+      message: 'Enter the email address you submitted with, or the code we emailed you'
+    }]));
+  }
+
+  try {
+    const submission = code ? await findByCode(clientId, code) : await findByEmail(clientId, email);
+    if (!submission) {
+      console.warn(`🚫 Status lookup failed for Client ID: ${clientId} (${code ? 'code' : 'email'})`);
+      return res.status(404).json({
+        success: false,
+        error: code
+          ? 'This code is invalid or has expired. Please request a new one.'
+          : 'No submission matches this Client ID and email address',
+        code: code ? 'INVALID_CODE' : 'SUBMISSION_NOT_FOUND'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({ success: true, status: describeStatus(submission) });
+  } catch (error) {
+    console.error('❌ Error looking up submission status:', error);
+    res.status(500).json({ success: false, error: 'Failed to look up your submission status' });
+  }
+});
+
+// Email a one-time code to the address the submission was made with
+router.post('/code', statusIpLimit, statusCodeLimit, requireCaptcha, validateBody(statusCodeSchema), async (req, res) => {
+  try {
+    await sendStatusCode(req.body.clientId);
+    res.json({
+      success: true,
+      message: 'If this Client ID exists, a code has been sent to the email address used for the submission.'
+    });
+  } catch (error) {
+    console.error('❌ Error sending status code:', error);
+    res.status(500).json({ success: false, error: 'Failed to send a code. Please try again.' });
+  }
+});
+
+module.exports = router;
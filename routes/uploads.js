@@ -0,0 +1,118 @@
+const express = require('express');
+const uploadSessions = require('../services/uploadSessions');
+const { uploadFileSchema } = require('../services/requestSchemas');
+const { RATE_LIMITS } = require('../services/rateLimit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validateBody } = require('../middleware/validate');
+
+// Resumable chunked uploads - mounted under /api/uploads (see services/uploadSessions.js)
+//   POST   /                           open a session
+//   GET    /:sessionId                 every file's offset, to resume after a dropped connection
+//   POST   /:sessionId/files           declare a file: fieldname, filename, mimetype, size, sha256
+//   PUT    /:sessionId/files/:fileId   send a chunk: raw body, Upload-Offset and Upload-Checksum: sha256 <hex>
+//   DELETE /:sessionId                 abandon the session
+// The session ID is the only credential, so it is long and random and only ever sent to its creator.
+const router = express.Router();
+
+const sessionIpLimit = rateLimit({ name: 'upload-session-ip', limit: RATE_LIMITS.uploadSessionIp });
+const chunkIpLimit = rateLimit({ name: 'upload-chunk-ip', limit: RATE_LIMITS.uploadChunkIp });
+
+const sendError = (res, error, message) => {
+  if (error instanceof uploadSessions.UploadSessionError) {
+    if (error.details.offset !== undefined) {
+      res.set('Upload-Offset', String(error.details.offset));
+    }
+    return res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ success: false, error: `${message}. Please try again.` });
+};
+
+// Chunks arrive as raw bytes of any content type, up to UPLOAD_CHUNK_SIZE
+const readChunk = (req, res, next) => {
+  express.raw({ type: () => true, limit: uploadSessions.SESSION_CONFIG.chunkSize })(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        error: error.type === 'entity.too.large'
+          ? `Chunks must be ${uploadSessions.SESSION_CONFIG.chunkSize} bytes or smaller`
+          : 'Could not read the chunk',
+        code: error.type === 'entity.too.large' ? 'CHUNK_TOO_LARGE' : 'INVALID_CHUNK'
+      });
+    }
+    next();
+  });
+};
+
+// The router is mounted before the app-wide body parsers (a chunk may arrive with any content type),
+// so the JSON file declaration is parsed here
+const readJson = express.json({ limit: '16kb' });
+
+// "sha256 <hex>"
+const parseChecksum = (header) => {
+  const match = String(header || '').trim().match(/^sha256\s+([0-9a-fA-F]{64})$/);
+  return match ? match[1] : null;
+};
+
+router.post('/', sessionIpLimit, async (req, res) => {
+  try {
+    const session = await uploadSessions.createSession();
+    res.status(201).json({ success: true, session: uploadSessions.describeSession(session) });
+  } catch (error) {
+    sendError(res, error, 'Failed to start the upload');
+  }
+});
+
+router.get('/:sessionId', chunkIpLimit, async (req, res) => {
+  try {
+    const session = await uploadSessions.getOpenSession(req.params.sessionId);
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, session: uploadSessions.describeSession(session) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load the upload');
+  }
+});
+
+router.post('/:sessionId/files', chunkIpLimit, readJson, validateBody(uploadFileSchema), async (req, res) => {
+  try {
+    const file = await uploadSessions.addFile(req.params.sessionId, req.body);
+    res.status(201).json({ success: true, file });
+  } catch (error) {
+    sendError(res, error, 'Failed to add the file');
+  }
+});
+
+router.put('/:sessionId/files/:fileId', chunkIpLimit, readChunk, async (req, res) => {
+  const offset = req.get('Upload-Offset');
+  const checksum = parseChecksum(req.get('Upload-Checksum'));
+  if (!/^\d+$/.test(String(offset)) || !checksum) {
+    return res.status(400).json({
+      success: false,
+      error: 'Send the chunk with Upload-Offset and Upload-Checksum: sha256 <hex> headers',
+      code: 'INVALID_CHUNK'
+    });
+  }
+
+  try {
+    const result = await uploadSessions.appendChunk(req.params.sessionId, req.params.fileId, {
+      offset: Number(offset),
+      checksum,
+      data: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+    });
+    res.set('Upload-Offset', String(result.offset));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to save the chunk');
+  }
+});
+
+router.delete('/:sessionId', chunkIpLimit, async (req, res) => {
+  try {
+    await uploadSessions.deleteSession(req.params.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel the upload');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// Issue a signed admin JWT
+// Usage: node scripts/create-admin-token.js <name> <viewer|operator> [hours]
+const { signAdminToken } = require('../middleware/adminAuth');
+
+const [name, role, hours = '8'] = process.argv.slice(2);
+
+if (!name || !role) {
+  console.error('Usage: node scripts/create-admin-token.js <name> <viewer|operator> [hours]');
+  process.exit(1);
+}
+
+try {
+  const token = signAdminToken({ sub: name, role, expiresInSeconds: Number(hours) * 60 * 60 });
+  console.log(token);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
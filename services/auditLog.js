@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// Audit trail of admin actions
+const AUDIT_LOG = 'audit_log';
+
+const recordAdminAction = async ({ actor, action, target = null, outcome, statusCode, ip }) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  return getStore().put(AUDIT_LOG, id, {
+    at: new Date().toISOString(),
+    actor,
+    action,
+    target,
+    outcome,
+    statusCode,
+    ip
+  });
+};
+
+const listAdminActions = async ({ actor = null, action = null, target = null, limit = 100 } = {}) => {
+  const entries = await getStore().list(AUDIT_LOG, entry =>
+    (!actor || entry.actor?.id === actor) &&
+    (!action || entry.action === action) &&
+    (!target || entry.target === target)
+  );
+  return entries
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+};
+
+// Middleware that records the action once the response has been sent
+// `getTarget(req)` picks out what was acted on, e.g. the client ID
+const audit = (action, getTarget = null) => (req, res, next) => {
+  res.on('finish', () => {
+    recordAdminAction({
+      actor: req.admin ? { id: req.admin.id, role: req.admin.role, method: req.admin.method } : null,
+      action,
+      target: getTarget ? getTarget(req) || null : null,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      statusCode: res.statusCode,
+      ip: req.ip
+    }).catch(error => {
+      console.error(`❌ Failed to write audit log entry for ${action}:`, error.message);
+    });
+  });
+  next();
+};
+
+module.exports = {
+  recordAdminAction,
+  listAdminActions,
+  audit
+};
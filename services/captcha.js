@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { config } = require('../config');
+
+// Optional human check for the public forms
+// CAPTCHA_PROVIDER selects the verifier:
+//   none (default)                  - every request passes
+//   turnstile, hcaptcha, recaptcha  - the widget's token is checked with the provider (CAPTCHA_SECRET)
+//   pow                             - local proof-of-work: the client fetches a signed challenge from
+//                                     /api/captcha and finds a nonce whose SHA-256 has enough leading zero bits
+//   test                            - accepts only CAPTCHA_TEST_TOKEN, without any network call
+// Every verifier resolves to { success, reason } and rejects when the check itself could not be made.
+
+class CaptchaUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptchaUnavailableError';
+    this.code = 'CAPTCHA_UNAVAILABLE';
+  }
+}
+
+// Providers that share the reCAPTCHA "siteverify" API
+const SITEVERIFY_URLS = {
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify'
+};
+
+const siteverifyVerifier = (name) => ({
+  secret = config.captcha.secret,
+  siteKey = config.captcha.siteKey,
+  timeout = config.captcha.timeout
+} = {}) => {
+  if (!secret) {
+    throw new Error(`CAPTCHA_PROVIDER=${name} needs CAPTCHA_SECRET`);
+  }
+  return {
+    name,
+    describe: () => ({ provider: name, siteKey }),
+    verify: async (token, { ip } = {}) => {
+      try {
+        const { data } = await axios.post(SITEVERIFY_URLS[name], new URLSearchParams({
+          secret,
+          response: token,
+          ...(ip ? { remoteip: ip } : {})
+        }).toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout
+        });
+        return { success: data.success === true, reason: (data['error-codes'] || []).join(', ') || null };
+      } catch (error) {
+        throw new CaptchaUnavailableError(`${name} verification failed: ${error.message}`);
+      }
+    }
+  };
+};
+
+// Challenges are "<expires>.<difficulty>.<nonce>.<signature>"; a token is "<challenge>:<solution>"
+const powVerifier = ({
+  difficulty = config.captcha.powDifficulty,
+  ttlSeconds = 300,
+  // Without CAPTCHA_SECRET, challenges issued before a restart are no longer accepted
+  secret = config.captcha.secret || crypto.randomBytes(32).toString('hex')
+} = {}) => {
+  const used = new Map();
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const leadingZeroBits = (hash) => {
+    let bits = 0;
+    for (const byte of hash) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+    return bits;
+  };
+
+  const issueChallenge = () => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const payload = `${expires}.${difficulty}.${crypto.randomBytes(12).toString('base64url')}`;
+    return { challenge: `${payload}.${sign(payload)}`, difficulty, expiresAt: new Date(expires * 1000).toISOString() };
+  };
+
+  return {
+    name: 'pow',
+    describe: () => ({ provider: 'pow', algorithm: 'sha256', ...issueChallenge() }),
+    verify: async (token) => {
+      const separator = token.lastIndexOf(':');
+      const challenge = token.slice(0, separator);
+      const [expires, bits, nonce, signature] = challenge.split('.');
+      const payload = `${expires}.${bits}.${nonce}`;
+
+      const expected = Buffer.from(sign(payload));
+      const received = Buffer.from(String(signature || ''));
+      if (separator < 0 || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { success: false, reason: 'invalid-challenge' };
+      }
+      if (Number(expires) * 1000 < Date.now()) {
+        return { success: false, reason: 'expired-challenge' };
+      }
+      if (used.has(challenge)) {
+        return { success: false, reason: 'challenge-reused' };
+      }
+      if (leadingZeroBits(crypto.createHash('sha256').update(token).digest()) < Number(bits)) {
+        return { success: false, reason: 'insufficient-work' };
+      }
+
+      used.set(challenge, Number(expires) * 1000);
+      for (const [key, expiry] of used) {
+        if (expiry < Date.now()) used.delete(key);
+      }
+      return { success: true, reason: null };
+    }
+  };
+};
+
+const verifiers = {
+  none: () => ({
+    name: 'none',
+    describe: () => ({ provider: 'none' }),
+    verify: async () => ({ success: true, reason: null })
+  }),
+  turnstile: siteverifyVerifier('turnstile'),
+  hcaptcha: siteverifyVerifier('hcaptcha'),
+  recaptcha: siteverifyVerifier('recaptcha'),
+  pow: powVerifier,
+  test: ({ token = config.captcha.testToken } = {}) => ({
+    name: 'test',
+    describe: () => ({ provider: 'test' }),
+    verify: async (value) => ({ success: value === token, reason: value === token ? null : 'invalid-test-token' })
+  })
+};
+
+// Register a custom verifier under a name usable in CAPTCHA_PROVIDER
+const registerCaptchaVerifier = (name, factory) => {
+  verifiers[name] = factory;
+};
+
+let instance = null;
+
+const getCaptchaVerifier = () => {
+  if (!instance) {
+    const name = config.captcha.provider;
+    const factory = verifiers[name];
+    if (!factory) {
+      throw new Error(`Unknown captcha provider: ${name}`);
+    }
+    instance = factory();
+    if (instance.name !== 'none') {
+      console.log(`🤖 Captcha provider: ${instance.name}`);
+    }
+  }
+  return instance;
+};
+
+module.exports = {
+  CaptchaUnavailableError,
+  registerCaptchaVerifier,
+  getCaptchaVerifier
+};
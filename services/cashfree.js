@@ -0,0 +1,70 @@
+const axios = require('axios');
+const { config } = require('../config');
+
+// Cashfree Configuration (CASHFREE_APP_ID, CASHFREE_SECRET_KEY, CASHFREE_ENVIRONMENT, see config.js)
+const cashfreeConfig = config.cashfree;
+
+const cashfreeHeaders = () => ({
+  'Content-Type': 'application/json',
+  'x-api-version': '2025-01-01',
+  'x-client-id': cashfreeConfig.appId,
+  'x-client-secret': cashfreeConfig.secretKey
+});
+
+const createOrder = async (orderData) => {
+  const response = await axios.post(`${cashfreeConfig.baseUrl}/orders`, orderData, {
+    headers: cashfreeHeaders()
+  });
+  return response.data;
+};
+
+const getOrder = async (orderId) => {
+  const response = await axios.get(`${cashfreeConfig.baseUrl}/orders/${encodeURIComponent(orderId)}`, {
+    headers: cashfreeHeaders()
+  });
+  return response.data;
+};
+
+const getOrderPayments = async (orderId) => {
+  const response = await axios.get(`${cashfreeConfig.baseUrl}/orders/${encodeURIComponent(orderId)}/payments`, {
+    headers: cashfreeHeaders()
+  });
+  return response.data;
+};
+
+const createRefund = async (orderId, refundData) => {
+  const response = await axios.post(`${cashfreeConfig.baseUrl}/orders/${encodeURIComponent(orderId)}/refunds`, refundData, {
+    headers: cashfreeHeaders()
+  });
+  return response.data;
+};
+
+const getRefund = async (orderId, refundId) => {
+  const response = await axios.get(`${cashfreeConfig.baseUrl}/orders/${encodeURIComponent(orderId)}/refunds/${encodeURIComponent(refundId)}`, {
+    headers: cashfreeHeaders()
+  });
+  return response.data;
+};
+
+// A 4xx means Cashfree read the request and turned it down. Anything else - no response, a timeout
+// or a 5xx - leaves the outcome unknown: Cashfree may still have acted on it.
+const isRejection = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500;
+};
+
+// Cashfree could not be reached or failed on its side: a network error, a timeout or a 5xx.
+// Errors that didn't come from the HTTP call at all (e.g. configuration) are neither.
+const isUnreachable = (error) => Boolean(error.isAxiosError) &&
+  (!error.response || error.response.status >= 500);
+
+module.exports = {
+  cashfreeConfig,
+  isRejection,
+  isUnreachable,
+  createOrder,
+  getOrder,
+  getOrderPayments,
+  createRefund,
+  getRefund
+};
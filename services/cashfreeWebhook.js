@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const submissions = require('./submissions');
+const refunds = require('./refunds');
+const { markPaymentVerified } = require('./submissionStatus');
+
+// Cashfree webhook verification and processing
+// Cashfree signs `timestamp + rawBody` with HMAC-SHA256 using the secret key (base64 encoded).
+const WEBHOOK_EVENTS = 'webhook_events';
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000; // reject events older or newer than 5 minutes
+
+// Webhook type -> order status we record
+const EVENT_STATUS = {
+  PAYMENT_SUCCESS_WEBHOOK: 'PAID',
+  PAYMENT_FAILED_WEBHOOK: 'FAILED',
+  PAYMENT_USER_DROPPED_WEBHOOK: 'USER_DROPPED',
+  REFUND_STATUS_WEBHOOK: 'REFUND'
+};
+
+// Once an order reaches one of these, later payment failures are only noted
+const SETTLED_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+const REFUNDED_STATUSES = ['PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const inFlightEvents = new Set();
+
+class WebhookVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+// Cashfree sends milliseconds; accept seconds too in case that changes
+const parseTimestamp = (timestamp) => {
+  const value = Number(timestamp);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return value < 1e12 ? value * 1000 : value;
+};
+
+const verifyWebhookSignature = ({ rawBody, signature, timestamp, secretKey, now = Date.now() }) => {
+  if (!secretKey) {
+    throw new WebhookVerificationError('Webhook secret is not configured');
+  }
+  if (!rawBody || !signature || !timestamp) {
+    throw new WebhookVerificationError('Missing webhook signature headers');
+  }
+
+  const sentAt = parseTimestamp(timestamp);
+  if (!sentAt || Math.abs(now - sentAt) > WEBHOOK_TOLERANCE_MS) {
+    throw new WebhookVerificationError('Webhook timestamp is outside the allowed window');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secretKey)
+    .update(timestamp + rawBody)
+    .digest('base64');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  if (expectedBuffer.length !== signatureBuffer.length ||
+      !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+    throw new WebhookVerificationError('Invalid webhook signature');
+  }
+};
+
+// Prefer Cashfree's idempotency key, otherwise derive a stable id from the payload
+const getEventId = (headers, rawBody) =>
+  headers['x-idempotency-key'] ||
+  crypto.createHash('sha256').update(rawBody).digest('hex');
+
+// Work out the order update for an event without letting a late failure overwrite a payment,
+// or a late success (Cashfree retries deliveries for hours) undo a refund
+const buildOrderUpdate = (event, order) => {
+  const status = EVENT_STATUS[event.type];
+  const data = event.data || {};
+  const now = new Date().toISOString();
+
+  // Order status for refunds is settled by applyRefundUpdate once the refund is matched
+  if (status === 'REFUND') {
+    const refund = data.refund || {};
+    return {
+      lastRefund: {
+        refundId: refund.refund_id,
+        cfRefundId: refund.cf_refund_id,
+        amount: refund.refund_amount,
+        status: refund.refund_status,
+        updatedAt: now
+      }
+    };
+  }
+
+  if (SETTLED_STATUSES.includes(order?.status) && status !== 'PAID') {
+    return { lastFailedAttempt: { status, paymentId: data.payment?.cf_payment_id, at: now } };
+  }
+  if (REFUNDED_STATUSES.includes(order?.status)) {
+    return { lastLateAttempt: { status, paymentId: data.payment?.cf_payment_id, at: now } };
+  }
+
+  return {
+    status,
+    paymentId: data.payment?.cf_payment_id || order?.paymentId || null,
+    paymentAmount: data.payment?.payment_amount ?? order?.paymentAmount ?? null,
+    paymentMessage: data.payment?.payment_message || null,
+    paidAt: status === 'PAID' ? data.payment?.payment_time || now : order?.paidAt || null,
+    webhookConfirmed: true
+  };
+};
+
+// Record an event once and apply it to the stored order
+// Returns { duplicate: true } when the same event has already been processed
+const processWebhookEvent = async ({ eventId, event }) => {
+  // Cashfree may deliver the same event concurrently; only one delivery gets through
+  if (inFlightEvents.has(eventId)) {
+    return { duplicate: true };
+  }
+  inFlightEvents.add(eventId);
+
+  try {
+    return await applyWebhookEvent(eventId, event);
+  } finally {
+    inFlightEvents.delete(eventId);
+  }
+};
+
+// The event is saved as `pending` and only marked `done` once the order has been updated, so an event
+// whose processing failed is applied again when Cashfree retries it. Events saved before statuses
+// existed have none and count as done.
+const applyWebhookEvent = async (eventId, event) => {
+  const store = getStore();
+  const seen = await store.get(WEBHOOK_EVENTS, eventId);
+  if (seen && seen.status !== 'pending') {
+    return { duplicate: true };
+  }
+
+  const orderId = event.data?.order?.order_id || event.data?.refund?.order_id || null;
+  await store.put(WEBHOOK_EVENTS, eventId, {
+    type: event.type,
+    orderId,
+    eventTime: event.event_time || null,
+    receivedAt: seen?.receivedAt || new Date().toISOString(),
+    status: 'pending',
+    payload: event
+  });
+
+  const result = await updateOrderFromEvent(event, orderId);
+  await store.update(WEBHOOK_EVENTS, eventId, { status: 'done', processedAt: new Date().toISOString() });
+  return result;
+};
+
+const updateOrderFromEvent = async (event, orderId) => {
+  if (!EVENT_STATUS[event.type] || !orderId) {
+    return { duplicate: false, orderId, ignored: true };
+  }
+
+  const existing = await submissions.getOrder(orderId);
+  const update = buildOrderUpdate(event, existing);
+  const order = existing
+    ? await submissions.updateOrder(orderId, update)
+    : await submissions.recordOrder({ orderId, amount: event.data?.order?.order_amount, ...update });
+
+  if (EVENT_STATUS[event.type] === 'REFUND') {
+    return { duplicate: false, orderId, order: await applyRefundUpdate(event.data.refund || {}, order) };
+  }
+
+  // A submission that was accepted before its payment could be verified moves on now
+  if (order.status === 'PAID' && order.clientId) {
+    await markPaymentVerified(order.clientId, order);
+  }
+
+  return { duplicate: false, orderId, order };
+};
+
+// Refunds issued through the admin API are tracked individually; ones made from the
+// Cashfree dashboard only move the order status
+const applyRefundUpdate = async (refund, order) => {
+  const tracked = await refunds.applyRefundStatus(refund.refund_id, {
+    status: refund.refund_status,
+    cfRefundId: refund.cf_refund_id,
+    processedAt: refund.processed_at
+  });
+  if (tracked) {
+    return submissions.getOrder(order.orderId);
+  }
+  if (refund.refund_status !== 'SUCCESS') {
+    return order;
+  }
+
+  const paid = Number(order.paymentAmount ?? order.amount);
+  const refunded = Number(order.refundedAmount || 0) + Number(refund.refund_amount || 0);
+  return submissions.updateOrder(order.orderId, {
+    status: refunded >= paid ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+    refundedAmount: refunded
+  });
+};
+
+module.exports = {
+  WebhookVerificationError,
+  verifyWebhookSignature,
+  getEventId,
+  processWebhookEvent
+};
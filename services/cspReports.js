@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// Content-Security-Policy violation reports sent by browsers to /api/csp-report
+const CSP_REPORTS = 'csp_reports';
+
+const MAX_FIELD_LENGTH = 500;
+
+const truncate = (value) => (typeof value === 'string' ? value.slice(0, MAX_FIELD_LENGTH) : value ?? null);
+
+// Browsers send either the legacy `{ "csp-report": {...} }` body (report-uri) or a Reporting API
+// array of `{ type: "csp-violation", body: {...} }` (report-to). Both become the same shape.
+const normaliseReports = (payload) => {
+  if (payload && payload['csp-report']) {
+    const report = payload['csp-report'];
+    return [{
+      documentUri: report['document-uri'],
+      blockedUri: report['blocked-uri'],
+      directive: report['effective-directive'] || report['violated-directive'],
+      disposition: report.disposition,
+      sourceFile: report['source-file'],
+      lineNumber: report['line-number']
+    }];
+  }
+
+  return (Array.isArray(payload) ? payload : [])
+    .filter(report => report && report.type === 'csp-violation' && report.body)
+    .map(({ body }) => ({
+      documentUri: body.documentURL,
+      blockedUri: body.blockedURL,
+      directive: body.effectiveDirective,
+      disposition: body.disposition,
+      sourceFile: body.sourceFile,
+      lineNumber: body.lineNumber
+    }));
+};
+
+// Store the reports in a request body; returns how many were recorded
+const recordCspReports = async (payload, { userAgent = null } = {}) => {
+  const reports = normaliseReports(payload).slice(0, 20);
+
+  for (const report of reports) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = Object.fromEntries(Object.entries(report).map(([key, value]) => [key, truncate(value)]));
+    await getStore().put(CSP_REPORTS, id, {
+      ...record,
+      userAgent: truncate(userAgent),
+      receivedAt: new Date().toISOString()
+    });
+    console.warn(`🛡️ CSP ${record.disposition === 'report' ? 'report-only violation' : 'violation'}: ${record.directive} blocked ${record.blockedUri || '(inline)'} on ${record.documentUri}`);
+  }
+  return reports.length;
+};
+
+// Delete reports received before `cutoff` (ms), and the oldest beyond MAX_STORED_REPORTS so a
+// flood of reports between sweeps can't fill the store; returns how many were deleted
+const MAX_STORED_REPORTS = 10000;
+
+const removeOldCspReports = async (cutoff) => {
+  const reports = (await getStore().list(CSP_REPORTS))
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  const stale = reports.filter((report, index) =>
+    index >= MAX_STORED_REPORTS || new Date(report.receivedAt).getTime() < cutoff
+  );
+
+  for (const report of stale) {
+    await getStore().remove(CSP_REPORTS, report.id);
+  }
+  return stale.length;
+};
+
+const listCspReports = async ({ directive = null, limit = 100 } = {}) => {
+  const reports = await getStore().list(CSP_REPORTS, report => !directive || report.directive === directive);
+  return reports
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    .slice(0, limit);
+};
+
+module.exports = {
+  recordCspReports,
+  removeOldCspReports,
+  listCspReports
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { documentLabel } = require('./documentRequirements');
+const { getContent } = require('./emailTemplates');
+const { config } = require('../config');
+
+// Single PDF of a submission's documents for admin review
+// A cover page (client ID, service, payment status and a document index) is followed by every
+// uploaded PDF's pages and one page per image. The bundle is stored like any other document.
+const DOCUMENT_BUNDLE = {
+  enabled: config.documents.bundle
+};
+
+const BUNDLE_FIELDNAME = 'documentBundle';
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 48;
+
+const INK = rgb(0.12, 0.16, 0.22);
+const MUTED = rgb(0.42, 0.45, 0.5);
+const ACCENT = rgb(0.15, 0.39, 0.92);
+
+// The standard PDF fonts only cover WinAnsi, so strip accents and replace anything else
+const pdfText = (value) => String(value ?? '')
+  .replace(/₹/g, 'Rs. ')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E]/g, '?');
+
+const formatMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
+const describePayment = (paymentInfo) => {
+  if (!paymentInfo) {
+    return 'No payment (inquiry only)';
+  }
+  const status = paymentInfo.verified === false ? `${paymentInfo.orderStatus} - needs manual review` : paymentInfo.orderStatus;
+  return `Rs. ${paymentInfo.amount} - ${status} (order ${paymentInfo.orderId})`;
+};
+
+// Cut text to fit a width, adding an ellipsis
+const fitText = (text, font, size, width) => {
+  if (font.widthOfTextAtSize(text, size) <= width) {
+    return text;
+  }
+  let fitted = text;
+  while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}...`, size) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+const addImagePage = async (bundle, buffer, mimetype, caption, fonts) => {
+  const image = mimetype === 'image/png' ? await bundle.embedPng(buffer) : await bundle.embedJpg(buffer);
+  const page = bundle.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+
+  page.drawText(fitText(caption, fonts.regular, 9, PAGE_WIDTH - MARGIN * 2), {
+    x: MARGIN, y: PAGE_HEIGHT - MARGIN + 16, size: 9, font: fonts.regular, color: MUTED
+  });
+
+  const { width, height } = image.scaleToFit(PAGE_WIDTH - MARGIN * 2, PAGE_HEIGHT - MARGIN * 2);
+  page.drawImage(image, {
+    x: (PAGE_WIDTH - width) / 2,
+    y: (PAGE_HEIGHT - height) / 2,
+    width,
+    height
+  });
+  return 1;
+};
+
+const addPdfPages = async (bundle, buffer) => {
+  const source = await PDFDocument.load(buffer);
+  const pages = await bundle.copyPages(source, source.getPageIndices());
+  pages.forEach(page => bundle.addPage(page));
+  return pages.length;
+};
+
+// Stand-in page for a document that could not be merged (e.g. a PDF pdf-lib can't parse)
+const addPlaceholderPage = (bundle, caption, fonts) => {
+  const page = bundle.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  page.drawText(fitText(caption, fonts.bold, 14, PAGE_WIDTH - MARGIN * 2), {
+    x: MARGIN, y: PAGE_HEIGHT - MARGIN - 14, size: 14, font: fonts.bold, color: INK
+  });
+  page.drawText('This document could not be merged into the bundle. Download it separately.', {
+    x: MARGIN, y: PAGE_HEIGHT - MARGIN - 40, size: 11, font: fonts.regular, color: MUTED
+  });
+  return 1;
+};
+
+const drawCoverPage = (bundle, { clientId, formData, paymentInfo, entries }, fonts) => {
+  const page = bundle.insertPage(0, [PAGE_WIDTH, PAGE_HEIGHT]);
+  const width = PAGE_WIDTH - MARGIN * 2;
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const line = (text, { size = 11, font = fonts.regular, color = INK, gap = 6, x = MARGIN, maxWidth = width } = {}) => {
+    y -= size;
+    page.drawText(fitText(pdfText(text), font, size, maxWidth), { x, y, size, font, color });
+    y -= gap;
+  };
+
+  line(getContent().companyName, { size: 12, font: fonts.bold, color: ACCENT, gap: 10 });
+  line('Document Bundle', { size: 24, font: fonts.bold, gap: 20 });
+
+  [
+    ['Client ID', clientId],
+    ['Name', formData.name],
+    ['Service', formData.service],
+    ['Payment', describePayment(paymentInfo)],
+    ['Bundled', new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })]
+  ].forEach(([label, value]) => {
+    page.drawText(`${label}:`, { x: MARGIN, y: y - 11, size: 11, font: fonts.bold, color: MUTED });
+    line(value, { x: MARGIN + 80, maxWidth: width - 80 });
+  });
+
+  y -= 20;
+  line(`Documents (${entries.length})`, { size: 14, font: fonts.bold, gap: 10 });
+
+  entries.forEach((entry, index) => {
+    const pages = entry.merged
+      ? `page${entry.pageCount > 1 ? 's' : ''} ${entry.firstPage}${entry.pageCount > 1 ? `-${entry.firstPage + entry.pageCount - 1}` : ''}`
+      : 'not merged - download separately';
+    page.drawText(pdfText(pages), {
+      x: PAGE_WIDTH - MARGIN - fonts.regular.widthOfTextAtSize(pdfText(pages), 10),
+      y: y - 10, size: 10, font: fonts.regular, color: MUTED
+    });
+    line(`${index + 1}. ${entry.label}: ${entry.originalname} (${formatMB(entry.size)} MB)`, { size: 10, maxWidth: width - 170 });
+  });
+};
+
+// Build the bundle for a submission's uploads (still plaintext on disk) and write it next to them.
+// Returns a file object shaped like multer's, ready for storeDocument(); each input file is
+// flagged with `bundled`.
+const createDocumentBundle = async ({ clientId, formData, paymentInfo = null, files, directory }) => {
+  const bundle = await PDFDocument.create();
+  const fonts = {
+    regular: await bundle.embedFont(StandardFonts.Helvetica),
+    bold: await bundle.embedFont(StandardFonts.HelveticaBold)
+  };
+  bundle.setTitle(`Documents - ${clientId}`);
+  bundle.setAuthor(getContent().companyName);
+
+  // Page 1 is the cover, inserted once the page numbers are known
+  let nextPage = 2;
+  const entries = [];
+  for (const file of files) {
+    const label = documentLabel(file.fieldname);
+    const caption = pdfText(`${label}: ${file.originalname}`);
+    let pageCount;
+    let merged = true;
+
+    try {
+      const buffer = await fs.promises.readFile(file.path);
+      pageCount = file.mimetype === 'application/pdf'
+        ? await addPdfPages(bundle, buffer)
+        : await addImagePage(bundle, buffer, file.mimetype, caption, fonts);
+    } catch (error) {
+      console.warn(`⚠️ Could not merge ${file.originalname} into the bundle for Client ID ${clientId}:`, error.message);
+      pageCount = addPlaceholderPage(bundle, caption, fonts);
+      merged = false;
+    }
+    // The admin email still links files that are missing from the bundle
+    file.bundled = merged;
+
+    entries.push({ label, originalname: file.originalname, size: file.size, firstPage: nextPage, pageCount, merged });
+    nextPage += pageCount;
+  }
+
+  drawCoverPage(bundle, { clientId, formData, paymentInfo, entries }, fonts);
+
+  const content = await bundle.save();
+  const filename = `${clientId}-${BUNDLE_FIELDNAME}-${Date.now()}.pdf`;
+  const filePath = path.join(directory, filename);
+  await fs.promises.writeFile(filePath, content);
+
+  console.log(`📚 Bundled ${files.length} documents into ${bundle.getPageCount()} pages (${formatMB(content.length)} MB) - Client ID: ${clientId}`);
+  return {
+    fieldname: BUNDLE_FIELDNAME,
+    originalname: `${clientId}-documents.pdf`,
+    filename,
+    path: filePath,
+    mimetype: 'application/pdf',
+    size: content.length,
+    pageCount: bundle.getPageCount(),
+    // The bundle is kept no longer than the shortest-lived document in it
+    bundledFields: files.map(file => file.fieldname)
+  };
+};
+
+module.exports = {
+  DOCUMENT_BUNDLE,
+  BUNDLE_FIELDNAME,
+  pdfText,
+  fitText,
+  createDocumentBundle
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { packagePricing, REVISED_SUFFIX } = require('./pricing');
+const { config } = require('../config');
+
+// Documents each service needs, keyed by the upload fieldname.
+// A file counts for a document when its fieldname starts with the key (e.g. `incomeDocuments_2`).
+const DOCUMENT_TYPES = {
+  aadharCard: { label: 'Aadhar Card', description: 'Front and back of your Aadhar card' },
+  panCard: { label: 'PAN Card', description: 'Your PAN card' },
+  form16: { label: 'Form 16', description: 'Form 16 from each employer for the financial year' },
+  incomeDocuments: { label: 'Income Documents', description: 'Rent receipts, interest certificates or other income proofs' },
+  deductionDocuments: { label: 'Deduction Documents', description: 'Proofs for 80C, 80D and other deductions' },
+  bankStatement: { label: 'Bank Statement', description: 'Statements for the financial year' },
+  brokerStatement: { label: 'Broker Statement', description: 'Capital gains statement or tax P&L from each broker' },
+  passportVisa: { label: 'Passport / Visa', description: 'Passport photo page and visa or residency pages showing your travel dates' },
+  previousReturn: { label: 'Previously Filed Return', description: 'ITR-V or acknowledgement of the return being revised' }
+};
+
+// Requirement matrix for the base packages; the "- Revised" variant of a package also needs the
+// original return. Set DOCUMENT_REQUIREMENTS_FILE to a JSON file of the same shape to override it.
+const DEFAULT_REQUIREMENTS = {
+  'Tax Planning With Normal Filing': {
+    required: ['aadharCard'],
+    optional: ['panCard', 'form16', 'incomeDocuments', 'deductionDocuments', 'bankStatement']
+  },
+  'Salaried Tax ProAssist': {
+    required: ['aadharCard', 'form16'],
+    optional: ['panCard', 'incomeDocuments', 'deductionDocuments', 'bankStatement']
+  },
+  'Capital Gains ProAssist': {
+    required: ['aadharCard', 'brokerStatement'],
+    optional: ['panCard', 'form16', 'incomeDocuments', 'deductionDocuments', 'bankStatement']
+  },
+  'NRI Tax ProAssist': {
+    required: ['panCard', 'passportVisa'],
+    optional: ['aadharCard', 'form16', 'brokerStatement', 'incomeDocuments', 'bankStatement']
+  }
+};
+
+const loadRequirements = () => {
+  if (!config.documents.requirementsFile) {
+    return DEFAULT_REQUIREMENTS;
+  }
+  const requirements = JSON.parse(fs.readFileSync(config.documents.requirementsFile, 'utf8'));
+  for (const [service, rule] of Object.entries(requirements)) {
+    const unknown = [...(rule.required || []), ...(rule.optional || [])].filter(key => !DOCUMENT_TYPES[key]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown document types for ${service} in DOCUMENT_REQUIREMENTS_FILE: ${unknown.join(', ')}`);
+    }
+  }
+  return requirements;
+};
+
+const REQUIREMENTS = loadRequirements();
+
+const describe = key => ({ field: key, ...DOCUMENT_TYPES[key] });
+
+// Required and optional documents for a service, or null for an unknown service
+const getRequirements = (service) => {
+  if (!service || !Object.prototype.hasOwnProperty.call(packagePricing, service)) {
+    return null;
+  }
+
+  const isRevised = service.endsWith(REVISED_SUFFIX);
+  const baseService = isRevised ? service.slice(0, -REVISED_SUFFIX.length) : service;
+  const rule = REQUIREMENTS[service] || REQUIREMENTS[baseService] || { required: ['aadharCard'], optional: [] };
+
+  const required = [...(rule.required || [])];
+  if (isRevised && !REQUIREMENTS[service] && !required.includes('previousReturn')) {
+    required.push('previousReturn');
+  }
+  const optional = (rule.optional || []).filter(key => !required.includes(key));
+
+  return {
+    service,
+    required: required.map(describe),
+    optional: optional.map(describe)
+  };
+};
+
+const listRequirements = () => Object.keys(packagePricing).map(getRequirements);
+
+// Required documents that have no uploaded file, as { field, label, description }
+const findMissingDocuments = (service, files = []) => {
+  const requirements = getRequirements(service);
+  if (!requirements) {
+    return [];
+  }
+  return requirements.required.filter(document =>
+    !files.some(file => file.fieldname.startsWith(document.field))
+  );
+};
+
+// Document type key for an upload fieldname, or null when it isn't a known type
+const documentTypeFor = fieldname => Object.keys(DOCUMENT_TYPES).find(type => fieldname.startsWith(type)) || null;
+
+const documentLabel = fieldname => {
+  const key = documentTypeFor(fieldname);
+  return key ? DOCUMENT_TYPES[key].label : fieldname;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getRequirements,
+  listRequirements,
+  findMissingDocuments,
+  documentTypeFor,
+  documentLabel
+};
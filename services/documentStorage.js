@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { config } = require('../config');
+
+// Pluggable object storage for uploaded documents
+// Every backend stores opaque (already encrypted) buffers under a key and exposes the same
+// async API: put, get, remove and exists. Backends that can also list their objects
+// ({ key, modifiedAt }) let the retention sweeper find orphans. DOCUMENT_STORAGE selects the backend.
+
+// Local disk (default)
+class LocalBackend {
+  constructor({ directory }) {
+    this.name = 'local';
+    this.directory = directory;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+  }
+
+  get(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.rm(filePath, { force: true });
+    // Drop the client's directory once its last document is gone
+    await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+  }
+
+  async exists(key) {
+    return fs.existsSync(this.resolve(key));
+  }
+
+  async list() {
+    const root = path.resolve(this.directory);
+    const walk = async (directory) => {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(() => []);
+      const objects = [];
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          objects.push(...await walk(entryPath));
+        } else {
+          const { mtime } = await fs.promises.stat(entryPath);
+          objects.push({ key: path.relative(root, entryPath).split(path.sep).join('/'), modifiedAt: mtime });
+        }
+      }
+      return objects;
+    };
+    return walk(root);
+  }
+}
+
+// In-memory stand-in for the S3 backend - handy for local experiments, loses everything on restart
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+  }
+
+  async put(key, buffer) {
+    this.objects.set(key, { buffer: Buffer.from(buffer), modifiedAt: new Date() });
+  }
+
+  async get(key) {
+    if (!this.objects.has(key)) {
+      throw new Error(`Document not found in storage: ${key}`);
+    }
+    return Buffer.from(this.objects.get(key).buffer);
+  }
+
+  async remove(key) {
+    this.objects.delete(key);
+  }
+
+  async exists(key) {
+    return this.objects.has(key);
+  }
+
+  async list() {
+    return Array.from(this.objects, ([key, { modifiedAt }]) => ({ key, modifiedAt }));
+  }
+}
+
+// S3-compatible object storage (AWS S3, DigitalOcean Spaces, MinIO, ...) signed with AWS Signature V4
+class S3Backend {
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    prefix
+  } = config.documents.s3) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 document storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+  }
+
+  // Path-style URL so the same code works against S3 and self-hosted stand-ins
+  objectPath(key) {
+    const encoded = `${this.prefix}${key}`.split('/').map(encodeURIComponent).join('/');
+    return `/${encodeURIComponent(this.bucket)}/${encoded}`;
+  }
+
+  sign(method, objectPath, payloadHash) {
+    const url = new URL(this.endpoint);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).join(';');
+    const canonicalRequest = [
+      method,
+      objectPath,
+      '',
+      ...Object.entries(headers).map(([name, value]) => `${name}:${value}`),
+      '',
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac,
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  request(method, key, body = Buffer.alloc(0)) {
+    const objectPath = this.objectPath(key);
+    const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+    return axios({
+      method,
+      url: `${this.endpoint}${objectPath}`,
+      data: method === 'PUT' ? body : undefined,
+      headers: this.sign(method, objectPath, payloadHash),
+      responseType: 'arraybuffer',
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  async put(key, buffer) {
+    await this.request('PUT', key, buffer);
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return Buffer.from(response.data);
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+
+  async exists(key) {
+    try {
+      await this.request('HEAD', key);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) return false;
+      throw error;
+    }
+  }
+}
+
+const backends = {
+  local: (options) => new LocalBackend(options),
+  memory: () => new MemoryBackend(),
+  s3: () => new S3Backend()
+};
+
+// Register a custom backend (e.g. Azure Blob or GCS) under a name usable in DOCUMENT_STORAGE
+const registerBackend = (name, factory) => {
+  backends[name] = factory;
+};
+
+const createDocumentStorage = ({
+  backend = config.documents.storage,
+  directory = config.documents.directory
+} = {}) => {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Unknown document storage backend: ${backend}`);
+  }
+  return factory({ directory });
+};
+
+let instance = null;
+
+const getDocumentStorage = () => {
+  if (!instance) {
+    instance = createDocumentStorage();
+    console.log(`🗄️ Document storage: ${instance.name}`);
+  }
+  return instance;
+};
+
+module.exports = {
+  LocalBackend,
+  MemoryBackend,
+  S3Backend,
+  registerBackend,
+  createDocumentStorage,
+  getDocumentStorage
+};
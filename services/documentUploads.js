@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const submissions = require('./submissions');
+const outbox = require('./outbox');
+const retention = require('./retention');
+const { defaultFrom } = require('./mailer');
+const { renderEmail, getContent } = require('./emailTemplates');
+const { DOCUMENT_TYPES } = require('./documentRequirements');
+const { IMAGE_OPTIMIZATION, optimizeImage } = require('./imageOptimization');
+const {
+  LINK_TTL_HOURS,
+  storeDocument,
+  createDownloadLink,
+  createUploadLink,
+  verifyUploadLink
+} = require('./documentVault');
+const { config } = require('../config');
+
+// Extra documents for an existing submission
+// Staff request specific documents (a blurry Form 16, a missing bank statement) and the customer is
+// emailed a signed link to the upload page. Files sent through it are added to the same Client ID,
+// and the admin email about them replies to the submission's original notification so both share a thread.
+const UPLOAD_LINK_TTL_HOURS = config.documents.uploadLinkTtlHours;
+
+class DocumentUploadError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'DocumentUploadError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The admin notification for a submission has a fixed Message-ID so later emails can reply to it.
+// Its domain is this API's host, which is always set (MAIL_FROM may not be outside production).
+const adminEmailSubject = (service, clientId) => `🚨 New Contact Form Submission - ${service} - Client ID: ${clientId}`;
+
+const MESSAGE_ID_DOMAIN = new URL(config.server.publicBaseUrl).hostname || 'taxandtaxes.com';
+
+const adminEmailMessageId = (clientId) => `<submission.${clientId}@${MESSAGE_ID_DOMAIN}>`;
+
+const describeDocument = key => ({ field: key, ...DOCUMENT_TYPES[key] });
+
+// What the upload page shows for a valid link
+const describeRequest = (submission, request) => ({
+  clientId: submission.clientId,
+  name: submission.formData.name,
+  service: submission.formData.service,
+  documents: request.documents.map(describeDocument),
+  note: request.note,
+  expiresAt: request.expiresAt
+});
+
+const createDocumentRequestEmailTemplate = (submission, request, link) => ({
+  from: defaultFrom,
+  to: submission.formData.email,
+  subject: `📎 Documents needed - ${getContent().companyName} - Client ID: ${submission.clientId}`,
+  ...renderEmail('document-request', {
+    submission,
+    request: describeRequest(submission, request),
+    link
+  })
+});
+
+// Ask the customer for more documents. `documents` are DOCUMENT_TYPES keys; the customer is emailed
+// a link that works until UPLOAD_LINK_TTL_HOURS from now. Returns the request and its link.
+const requestDocuments = async ({ clientId, documents, note = null, operator }) => {
+  const requested = [...new Set([].concat(documents || []).map(String))];
+  if (requested.length === 0) {
+    throw new DocumentUploadError('Choose at least one document to request', 'DOCUMENTS_REQUIRED');
+  }
+  const unknown = requested.filter(key => !DOCUMENT_TYPES[key]);
+  if (unknown.length > 0) {
+    throw new DocumentUploadError(`Unknown document types: ${unknown.join(', ')}`, 'UNKNOWN_DOCUMENT_TYPE');
+  }
+
+  const submission = await submissions.getSubmission(clientId);
+  if (!submission) {
+    throw new DocumentUploadError(`No submission found for Client ID: ${clientId}`, 'SUBMISSION_NOT_FOUND', 404);
+  }
+  if (submission.status === 'CANCELLED') {
+    throw new DocumentUploadError(`Client ID ${clientId} has been cancelled`, 'SUBMISSION_CANCELLED', 409);
+  }
+
+  const now = Date.now();
+  const request = {
+    id: crypto.randomBytes(8).toString('hex'),
+    documents: requested,
+    note: note || null,
+    by: operator,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + UPLOAD_LINK_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    uploads: []
+  };
+  const updated = await submissions.updateSubmission(clientId, (current) => ({
+    uploadRequests: [...(current.uploadRequests || []), request]
+  }));
+
+  const link = createUploadLink(clientId, request.id, request.expiresAt);
+  await outbox.enqueue([{
+    clientId,
+    kind: 'document-request',
+    message: createDocumentRequestEmailTemplate(updated, request, link),
+    meta: {
+      customerName: submission.formData.name,
+      customerEmail: submission.formData.email,
+      service: submission.formData.service,
+      requestId: request.id
+    }
+  }]);
+
+  console.log(`📎 Documents requested for Client ID ${clientId} by ${operator}: ${requested.join(', ')}`);
+  return { request, link };
+};
+
+// Check an upload link and return the submission and request it is for
+const authorizeUpload = async ({ clientId, requestId, expires, signature }) => {
+  const check = verifyUploadLink({ clientId, requestId, expires, signature });
+  if (check === 'expired') {
+    throw new DocumentUploadError('This upload link has expired. Please contact us for a new one.', 'LINK_EXPIRED', 410);
+  }
+
+  const submission = check === 'valid' ? await submissions.getSubmission(clientId) : null;
+  const request = submission && (submission.uploadRequests || []).find(item => item.id === requestId);
+  if (!request) {
+    throw new DocumentUploadError('Invalid upload link', 'INVALID_SIGNATURE', 403);
+  }
+  if (submission.status === 'CANCELLED') {
+    throw new DocumentUploadError('This submission has been cancelled', 'SUBMISSION_CANCELLED', 409);
+  }
+  return { submission, request };
+};
+
+const createDocumentsAddedEmailTemplate = (submission, request, files, message) => ({
+  from: defaultFrom,
+  to: config.mail.adminEmail,
+  subject: `Re: ${adminEmailSubject(submission.formData.service, submission.clientId)}`,
+  inReplyTo: adminEmailMessageId(submission.clientId),
+  references: adminEmailMessageId(submission.clientId),
+  ...renderEmail('documents-added', {
+    data: submission.formData,
+    clientId: submission.clientId,
+    request: describeRequest(submission, request),
+    files: files.map(file => ({ ...file, download: createDownloadLink(submission.clientId, file) })),
+    linkTtlHours: LINK_TTL_HOURS,
+    message,
+    receivedAt: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
+  })
+});
+
+// Add uploaded files (already through the multer and content checks) to the submission and email
+// the admin. Files are discarded if anything fails before they are recorded on the submission.
+const receiveDocuments = async ({ submission, request, files, message = null }) => {
+  const { clientId } = submission;
+  const uploadedAt = new Date().toISOString();
+
+  try {
+    // Compress and auto-orient photos (OPTIMIZE_UPLOAD_IMAGES)
+    if (IMAGE_OPTIMIZATION.enabled) {
+      for (const file of files) {
+        await optimizeImage(file);
+      }
+    }
+    for (const file of files) {
+      await storeDocument(file, clientId);
+    }
+    await retention.trackDocuments(clientId, files);
+
+    await submissions.updateSubmission(clientId, (current) => ({
+      documents: [
+        ...(current.documents || []),
+        ...files.map(file => ({ ...submissions.toDocumentMetadata(file), requestId: request.id, uploadedAt }))
+      ],
+      uploadRequests: (current.uploadRequests || []).map(item => (item.id === request.id
+        ? { ...item, uploads: [...(item.uploads || []), { at: uploadedAt, documentIds: files.map(file => file.documentId), message }] }
+        : item))
+    }));
+  } catch (error) {
+    console.log(`🧹 Upload failed, cleaning up ${files.length} files immediately - Client ID: ${clientId}`);
+    await retention.discardFiles(clientId, files);
+    throw error;
+  }
+
+  console.log(`📎 ${files.length} additional documents received for Client ID: ${clientId}`);
+  const jobs = await outbox.enqueue([{
+    clientId,
+    kind: 'documents-added',
+    message: createDocumentsAddedEmailTemplate(submission, request, files, message),
+    meta: {
+      customerName: submission.formData.name,
+      customerEmail: submission.formData.email,
+      service: submission.formData.service,
+      requestId: request.id
+    }
+  }]);
+  await outbox.deliverJobs(jobs);
+  return files;
+};
+
+module.exports = {
+  UPLOAD_LINK_TTL_HOURS,
+  DocumentUploadError,
+  adminEmailSubject,
+  adminEmailMessageId,
+  describeRequest,
+  requestDocuments,
+  authorizeUpload,
+  receiveDocuments
+};
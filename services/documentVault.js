@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDocumentStorage } = require('./documentStorage');
+const { config } = require('../config');
+
+// Encryption at rest and signed download links for uploaded documents
+// Each file is encrypted with its own random AES-256-GCM key. That key is wrapped with the master
+// key (DOCUMENT_MASTER_KEY) and kept in the submission's document metadata, never next to the file.
+const ALGORITHM = 'aes-256-gcm';
+const LINK_TTL_HOURS = config.documents.linkTtlHours;
+
+const parseKey = (value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('DOCUMENT_MASTER_KEY must be 32 bytes, hex or base64 encoded');
+  }
+  return key;
+};
+
+// Outside production a key is generated once and kept in the data directory so documents survive restarts
+const loadDevelopmentKey = () => {
+  const directory = config.store.directory;
+  const keyFile = path.join(directory, 'document-master.key');
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    console.warn(`⚠️ DOCUMENT_MASTER_KEY is not set - generated a development key in ${keyFile}`);
+  }
+  return parseKey(fs.readFileSync(keyFile, 'utf8').trim());
+};
+
+let masterKey = null;
+
+const getMasterKey = () => {
+  if (!masterKey) {
+    if (config.documents.masterKey) {
+      masterKey = parseKey(config.documents.masterKey);
+    } else if (config.server.isProduction) {
+      throw new Error('DOCUMENT_MASTER_KEY must be set in production to store uploaded documents');
+    } else {
+      masterKey = loadDevelopmentKey();
+    }
+  }
+  return masterKey;
+};
+
+const encrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, authTag: cipher.getAuthTag(), ciphertext };
+};
+
+const decrypt = (key, { iv, authTag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// Encrypt an uploaded file into document storage and delete the plaintext upload.
+// Returns the metadata needed to read it back; `file` is updated in place.
+const storeDocument = async (file, clientId) => {
+  const documentId = crypto.randomBytes(12).toString('hex');
+  const storageKey = `${clientId}/${documentId}`;
+  const storage = getDocumentStorage();
+
+  const fileKey = crypto.randomBytes(32);
+  const content = encrypt(fileKey, await fs.promises.readFile(file.path));
+  const wrapped = encrypt(getMasterKey(), fileKey);
+
+  await storage.put(storageKey, content.ciphertext);
+  await fs.promises.unlink(file.path);
+
+  Object.assign(file, {
+    documentId,
+    storage: storage.name,
+    storageKey,
+    path: null,
+    encryption: {
+      algorithm: ALGORITHM,
+      iv: content.iv.toString('base64'),
+      authTag: content.authTag.toString('base64'),
+      wrappedKey: Buffer.concat([wrapped.iv, wrapped.authTag, wrapped.ciphertext]).toString('base64')
+    }
+  });
+  return file;
+};
+
+// Decrypt a stored document; documents saved before encryption was introduced are read from their path
+const readDocument = async (document) => {
+  if (!document.storageKey) {
+    return fs.promises.readFile(document.path);
+  }
+
+  const wrapped = Buffer.from(document.encryption.wrappedKey, 'base64');
+  const fileKey = decrypt(getMasterKey(), {
+    iv: wrapped.subarray(0, 12),
+    authTag: wrapped.subarray(12, 28),
+    ciphertext: wrapped.subarray(28)
+  });
+  return decrypt(fileKey, {
+    iv: Buffer.from(document.encryption.iv, 'base64'),
+    authTag: Buffer.from(document.encryption.authTag, 'base64'),
+    ciphertext: await getDocumentStorage().get(document.storageKey)
+  });
+};
+
+const documentExists = async (document) => {
+  if (!document.storageKey) {
+    return Boolean(document.path && fs.existsSync(document.path));
+  }
+  return getDocumentStorage().exists(document.storageKey);
+};
+
+const removeDocument = async (document) => {
+  if (!document.storageKey) {
+    if (document.path) await fs.promises.rm(document.path, { force: true });
+    return;
+  }
+  await getDocumentStorage().remove(document.storageKey);
+};
+
+// Download links are signed with DOCUMENT_LINK_SECRET, or a key derived from the master key
+const linkSecret = () => config.documents.linkSecret ||
+  crypto.createHmac('sha256', getMasterKey()).update('document-download-links').digest();
+
+const sign = (payload) => crypto.createHmac('sha256', linkSecret()).update(payload).digest('base64url');
+
+const signLink = (clientId, documentId, expires) => sign(`${clientId}:${documentId}:${expires}`);
+
+// Upload links are signed over a different payload, so one can never pass for a download link
+const signUploadLink = (clientId, requestId, expires) => sign(`upload:${clientId}:${requestId}:${expires}`);
+
+// Returns 'valid', 'expired' or 'invalid'
+const checkSignature = (signed, signature, expires) => {
+  const expected = Buffer.from(signed);
+  const received = Buffer.from(String(signature || ''));
+  if (!/^\d+$/.test(String(expires)) || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'invalid';
+  }
+  return Number(expires) * 1000 < Date.now() ? 'expired' : 'valid';
+};
+
+// Signed, expiring link to download one document without an admin session
+const createDownloadLink = (clientId, document, ttlHours = LINK_TTL_HOURS) => {
+  const expires = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 3600);
+  const signature = signLink(clientId, document.documentId, expires);
+  return {
+    url: `${config.server.publicBaseUrl}/api/documents/${encodeURIComponent(clientId)}/${document.documentId}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+const verifyDownloadLink = ({ clientId, documentId, expires, signature }) =>
+  checkSignature(signLink(clientId, documentId, expires), signature, expires);
+
+// Signed link to the frontend's upload page, where the customer can add documents to a submission
+// until `expiresAt` (see services/documentUploads.js)
+const createUploadLink = (clientId, requestId, expiresAt) => {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const params = new URLSearchParams({
+    clientId,
+    request: requestId,
+    expires: String(expires),
+    signature: signUploadLink(clientId, requestId, expires)
+  });
+  return {
+    url: `${config.server.frontendUrl}/upload-documents?${params}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+const verifyUploadLink = ({ clientId, requestId, expires, signature }) =>
+  checkSignature(signUploadLink(clientId, requestId, expires), signature, expires);
+
+module.exports = {
+  LINK_TTL_HOURS,
+  getMasterKey,
+  storeDocument,
+  readDocument,
+  documentExists,
+  removeDocument,
+  createDownloadLink,
+  verifyDownloadLink,
+  createUploadLink,
+  verifyUploadLink
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { convert } = require('html-to-text');
+const { documentLabel } = require('./documentRequirements');
+const { config } = require('../config');
+
+// Email templates live in templates/emails as Handlebars files.
+// Copy that changes often (phone numbers, business hours, response times) is in content.json,
+// so it can be edited without touching any JavaScript.
+const TEMPLATE_DIR = config.mail.templates.directory;
+
+
+const engine = Handlebars.create();
+
+// Every {{value}} is HTML-escaped by Handlebars. Submitted values must never be rendered with {{{triple}}}
+// braces, and links that carry them must be built with the helpers below so each part is URL-encoded.
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const telLink = (phone) => `tel:${toText(phone).replace(/[^0-9+]/g, '')}`;
+
+const whatsappLink = (phone, text) => {
+  const number = toText(phone).replace(/[^0-9]/g, '');
+  return text ? `https://wa.me/${number}?text=${encodeURIComponent(toText(text))}` : `https://wa.me/${number}`;
+};
+
+const mailtoLink = (address, subject) => {
+  const recipient = encodeURIComponent(toText(address).trim()).replace(/%40/g, '@');
+  return subject ? `mailto:${recipient}?subject=${encodeURIComponent(toText(subject))}` : `mailto:${recipient}`;
+};
+
+engine.registerHelper('documentType', (fieldname) => documentLabel(fieldname));
+engine.registerHelper('formatMB', (bytes) => ((Number(bytes) || 0) / 1024 / 1024).toFixed(2));
+engine.registerHelper('increment', (value) => Number(value) + 1);
+engine.registerHelper('formatDate', (value) => (value ? new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : ''));
+engine.registerHelper('concat', (...args) => args.slice(0, -1).map(toText).join(''));
+engine.registerHelper('telLink', (phone) => telLink(phone));
+engine.registerHelper('whatsappLink', (phone, text, options) => whatsappLink(phone, options ? text : null));
+engine.registerHelper('mailtoLink', (address, options) => mailtoLink(address, options.hash.subject));
+
+const readTemplate = (relativePath) => fs.readFileSync(path.join(TEMPLATE_DIR, relativePath), 'utf8');
+
+// Templates are compiled once and cached; set EMAIL_TEMPLATE_CACHE=false to pick up edits without a restart
+const cacheEnabled = config.mail.templates.cache;
+let cache = null;
+
+const loadTemplates = () => {
+  if (cache && cacheEnabled) {
+    return cache;
+  }
+
+  const partialsDir = path.join(TEMPLATE_DIR, 'partials');
+  for (const file of fs.readdirSync(partialsDir)) {
+    if (file.endsWith('.hbs')) {
+      engine.registerPartial(path.basename(file, '.hbs'), readTemplate(path.join('partials', file)));
+    }
+  }
+
+  cache = {
+    content: JSON.parse(readTemplate('content.json')),
+    layout: engine.compile(readTemplate(path.join('layouts', 'main.hbs'))),
+    templates: new Map()
+  };
+  return cache;
+};
+
+const getTemplate = (name) => {
+  const { templates } = loadTemplates();
+  if (!templates.has(name)) {
+    templates.set(name, engine.compile(readTemplate(`${name}.hbs`)));
+  }
+  return templates.get(name);
+};
+
+const getContent = () => loadTemplates().content;
+
+// Plain-text alternative generated from the rendered HTML
+const htmlToText = (html) => convert(html, {
+  wordwrap: 78,
+  selectors: [
+    { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+    // Layout tables are read as plain blocks; only the detail tables are kept as columns
+    { selector: 'table', format: 'block' },
+    { selector: 'table[style*="border-collapse"]', format: 'dataTable' }
+  ]
+});
+
+// Render a template inside the shared layout and return both the html and text parts
+const renderEmail = (name, context = {}) => {
+  const content = getContent();
+  const body = getTemplate(name)({ ...context, content });
+  const html = loadTemplates().layout({ body, content });
+  return { html, text: htmlToText(html) };
+};
+
+module.exports = {
+  renderEmail,
+  getContent,
+  htmlToText,
+  telLink,
+  whatsappLink,
+  mailtoLink
+};
@@ -0,0 +1,90 @@
+// Content-based file type checks for uploads
+// The browser's mimetype and file extension are never trusted: the type comes from the file's
+// leading bytes, and PDFs and images are checked for being complete and readable.
+
+const FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', label: 'PDF' },
+  'image/jpeg': { extension: '.jpg', label: 'JPEG image' },
+  'image/png': { extension: '.png', label: 'PNG image' }
+};
+
+class FileInspectionError extends Error {
+  constructor(message, code, detectedType = null) {
+    super(message);
+    this.name = 'FileInspectionError';
+    this.code = code;
+    this.detectedType = detectedType;
+  }
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Identify the real type from the magic bytes; null when it is not a supported type
+const sniffFileType = (buffer) => {
+  if (buffer.length >= 5 && buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+    return 'application/pdf';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  return null;
+};
+
+const tail = (buffer, length) => buffer.subarray(Math.max(0, buffer.length - length));
+
+const checkPdf = (buffer, name, type) => {
+  if (!tail(buffer, 1024).toString('latin1').includes('%%EOF')) {
+    throw new FileInspectionError(`${name} is an incomplete or damaged PDF. Please export it again and re-upload.`, 'CORRUPT_FILE', type);
+  }
+  if (/\/Encrypt[\s/<\d]/.test(buffer.toString('latin1'))) {
+    throw new FileInspectionError(`${name} is password-protected. Please upload a copy without a password.`, 'ENCRYPTED_PDF', type);
+  }
+};
+
+const checkJpeg = (buffer, name, type) => {
+  if (!tail(buffer, 1024).includes(Buffer.from([0xff, 0xd9]))) {
+    throw new FileInspectionError(`${name} is an incomplete or damaged image. Please take the photo again and re-upload.`, 'CORRUPT_FILE', type);
+  }
+};
+
+const checkPng = (buffer, name, type) => {
+  if (!tail(buffer, 64).includes(Buffer.from('IEND', 'latin1'))) {
+    throw new FileInspectionError(`${name} is an incomplete or damaged image. Please take the photo again and re-upload.`, 'CORRUPT_FILE', type);
+  }
+};
+
+const CHECKS = {
+  'application/pdf': checkPdf,
+  'image/jpeg': checkJpeg,
+  'image/png': checkPng
+};
+
+// Returns the detected type and its canonical extension, or throws a FileInspectionError.
+// `allowedTypes` narrows the supported types (e.g. ALLOWED_FILE_TYPES); the check is on the sniffed type,
+// so a JPG renamed to .pdf is still rejected when only PDFs are accepted.
+const inspectFile = (buffer, name = 'This file', allowedTypes = Object.keys(FILE_TYPES)) => {
+  const detectedType = sniffFileType(buffer);
+  if (!detectedType) {
+    throw new FileInspectionError(`${name} is not a PDF, JPG or PNG file.`, 'UNSUPPORTED_FILE_TYPE');
+  }
+  if (!allowedTypes.includes(detectedType)) {
+    const accepted = [...new Set(allowedTypes.map(type => FILE_TYPES[type]?.label).filter(Boolean))].join(', ');
+    throw new FileInspectionError(
+      `${name} is a ${FILE_TYPES[detectedType].label}, which is not accepted. Please upload a ${accepted}.`,
+      'FILE_TYPE_NOT_ALLOWED',
+      detectedType
+    );
+  }
+  CHECKS[detectedType](buffer, name, detectedType);
+  return { detectedType, extension: FILE_TYPES[detectedType].extension };
+};
+
+module.exports = {
+  FILE_TYPES,
+  FileInspectionError,
+  sniffFileType,
+  inspectFile
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { config } = require('../config');
+
+// Client, order and customer identifiers
+// Every generated ID is reserved in the store before it is handed out, so two requests can never
+// get the same one. Client IDs look like TT26 4821730596 4: the prefix, the assessment year, ten
+// random digits and a Luhn check digit that catches any single mistyped digit and most swaps.
+const IDENTIFIERS = 'identifiers';
+const CUSTOMERS = 'customers';
+
+const CLIENT_ID_PREFIX = 'TT';
+const MAX_ATTEMPTS = 10;
+
+// Client IDs issued before check digits were added: TT25 followed by ten digits
+const LEGACY_CLIENT_ID = /^TT\d{12}$/;
+const CLIENT_ID = /^TT\d{13}$/;
+
+// Returns are filed in the assessment year that starts on 1 April, the year after the income was
+// earned. ASSESSMENT_YEAR pins it, e.g. to keep issuing last year's prefix during a filing extension.
+const assessmentYear = (now = new Date()) => {
+  if (config.identifiers.assessmentYear) {
+    return config.identifiers.assessmentYear;
+  }
+  const calendar = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
+  return calendar.getMonth() >= 3 ? calendar.getFullYear() : calendar.getFullYear() - 1;
+};
+
+const yearPrefix = (now = new Date()) => `${CLIENT_ID_PREFIX}${String(assessmentYear(now)).slice(-2)}`;
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit counting from the right, starting with the rightmost
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// True for a well-formed client ID whose check digit matches. Legacy IDs have no check digit.
+const isValidClientId = (clientId) => {
+  const value = String(clientId || '');
+  if (LEGACY_CLIENT_ID.test(value)) return true;
+  if (!CLIENT_ID.test(value)) return false;
+  const digits = value.slice(CLIENT_ID_PREFIX.length);
+  return luhnCheckDigit(digits.slice(0, -1)) === digits.slice(-1);
+};
+
+const randomDigits = (length) => Array.from({ length }, () => crypto.randomInt(0, 10)).join('');
+
+// Reservations run one at a time so an existence check and the write that follows can't interleave
+let queue = Promise.resolve();
+
+const serialized = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Only call from inside serialized()
+const claimId = async (kind, generate) => {
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    const id = generate();
+    if (!(await getStore().get(IDENTIFIERS, id))) {
+      await getStore().put(IDENTIFIERS, id, { kind, createdAt: new Date().toISOString() });
+      return id;
+    }
+    console.warn(`⚠️ Generated ${kind} ID ${id} is already taken, trying another`);
+  }
+  throw new Error(`Could not generate a unique ${kind} ID after ${MAX_ATTEMPTS} attempts`);
+};
+
+const reserve = (kind, generate) => serialized(() => claimId(kind, generate));
+
+const generateClientId = () => reserve('client', () => {
+  const prefix = yearPrefix();
+  const digits = `${prefix.slice(CLIENT_ID_PREFIX.length)}${randomDigits(10)}`;
+  return `${prefix}${digits.slice(2)}${luhnCheckDigit(digits)}`;
+});
+
+// Cashfree order IDs: up to 45 letters, numbers, hyphens and underscores
+const generateOrderId = () => reserve('order', () => `ORDER_${yearPrefix()}_${Date.now()}_${randomDigits(6)}`);
+
+// The same customer (by email address) keeps one Cashfree customer ID across orders
+const getCustomerId = ({ email, phone = null }) => serialized(async () => {
+  const key = String(email).trim().toLowerCase();
+  const now = new Date().toISOString();
+  const existing = await getStore().get(CUSTOMERS, key);
+  if (existing) {
+    if (phone && existing.phone !== phone) {
+      await getStore().update(CUSTOMERS, key, { phone, updatedAt: now });
+    }
+    return existing.customerId;
+  }
+
+  const customerId = await claimId('customer', () => `CUST_${randomDigits(12)}`);
+  await getStore().put(CUSTOMERS, key, { customerId, email: key, phone, createdAt: now, updatedAt: now });
+  console.log(`🪪 New customer ID ${customerId} for ${key}`);
+  return customerId;
+});
+
+module.exports = {
+  assessmentYear,
+  luhnCheckDigit,
+  isValidClientId,
+  generateClientId,
+  generateOrderId,
+  getCustomerId
+};
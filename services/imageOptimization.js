@@ -0,0 +1,63 @@
+const fs = require('fs');
+const { config } = require('../config');
+
+// Optional compression of uploaded photos before they are stored
+// Phone photos are auto-oriented from their EXIF data, scaled down and re-encoded in the same
+// format. Re-encoding also drops EXIF metadata such as GPS coordinates.
+const IMAGE_OPTIMIZATION = config.uploads.imageOptimization;
+
+const OPTIMIZABLE_TYPES = ['image/jpeg', 'image/png'];
+
+// sharp is a native module, so it is only loaded once an image is optimised - a missing or
+// broken binary never stops the server from starting while OPTIMIZE_UPLOAD_IMAGES is off
+let sharpModule = null;
+const loadSharp = () => {
+  sharpModule = sharpModule || require('sharp');
+  return sharpModule;
+};
+
+const encode = (pipeline, mimetype) => mimetype === 'image/png'
+  ? pipeline.png({ compressionLevel: 9, adaptiveFiltering: true })
+  : pipeline.jpeg({ quality: IMAGE_OPTIMIZATION.quality, mozjpeg: true });
+
+// Optimise an uploaded image in place, updating `file.size`. The original is kept when
+// re-encoding would not help, and when the image can't be processed.
+const optimizeImage = async (file) => {
+  if (!IMAGE_OPTIMIZATION.enabled || !OPTIMIZABLE_TYPES.includes(file.mimetype)) {
+    return file;
+  }
+
+  try {
+    const sharp = loadSharp();
+    const original = await fs.promises.readFile(file.path);
+    const { orientation = 1 } = await sharp(original).metadata();
+    const optimized = await encode(
+      sharp(original)
+        .rotate()
+        .resize({
+          width: IMAGE_OPTIMIZATION.maxDimension,
+          height: IMAGE_OPTIMIZATION.maxDimension,
+          fit: 'inside',
+          withoutEnlargement: true
+        }),
+      file.mimetype
+    ).toBuffer();
+
+    // A rotated image is always kept, even if it came out larger
+    if (optimized.length >= original.length && orientation === 1) {
+      return file;
+    }
+
+    await fs.promises.writeFile(file.path, optimized);
+    console.log(`🗜️ Optimised ${file.originalname}: ${(original.length / 1024).toFixed(0)} KB → ${(optimized.length / 1024).toFixed(0)} KB`);
+    file.size = optimized.length;
+  } catch (error) {
+    console.warn(`⚠️ Could not optimise ${file.originalname}, keeping the original:`, error.message);
+  }
+  return file;
+};
+
+module.exports = {
+  IMAGE_OPTIMIZATION,
+  optimizeImage
+};
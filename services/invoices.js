@@ -0,0 +1,429 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { getStore } = require('./store');
+const submissions = require('./submissions');
+const { quoteForService } = require('./pricing');
+const { pdfText, fitText } = require('./documentBundle');
+const { config } = require('../config');
+
+// GST tax invoices for verified payments
+// Each paid order gets one invoice, numbered PREFIX/YY-YY/NNNNNN in sequence within the Indian
+// financial year (April to March). The invoice record keeps everything printed on it, including the
+// seller's details at the time, so the PDF can be rebuilt identically whenever it is downloaded.
+// Package prices include GST: a supply within the seller's state is split into CGST and SGST,
+// anything else is IGST. The place of supply is the customer's GSTIN state, else the state they
+// chose on the form, else the seller's own state.
+const INVOICES = 'invoices';
+const INVOICE_SEQUENCES = 'invoice_sequences';
+const INVOICE_CONFIG = config.invoices;
+
+// GST state codes
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const stateNames = () => Object.values(GST_STATES).sort();
+
+const stateCodeFor = (name) => Object.keys(GST_STATES).find(code => GST_STATES[code] === name) || null;
+
+class InvoiceError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The financial year a date falls in, e.g. 2026-27 for any date from 1 April 2026 to 31 March 2027
+const financialYear = (date = new Date()) => {
+  const calendar = new Date(date.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
+  const start = calendar.getMonth() >= 3 ? calendar.getFullYear() : calendar.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// Work in paise, like services/pricing.js
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+// The GST included in the quote, split for an intra-state or inter-state supply
+const splitTax = (quote, intraState) => {
+  const gstPaise = toPaise(quote.gstAmount);
+  if (!intraState) {
+    return [{ type: 'IGST', rate: quote.gstRate, amount: toRupees(gstPaise) }];
+  }
+  const cgstPaise = Math.round(gstPaise / 2);
+  return [
+    { type: 'CGST', rate: quote.gstRate / 2, amount: toRupees(cgstPaise) },
+    { type: 'SGST', rate: quote.gstRate / 2, amount: toRupees(gstPaise - cgstPaise) }
+  ];
+};
+
+// Numbers are handed out one at a time so two payments can never get the same one
+let queue = Promise.resolve();
+
+const serialized = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Only call from inside serialized()
+const nextSequence = async (year) => {
+  const current = await getStore().get(INVOICE_SEQUENCES, year);
+  const sequence = (current?.last || 0) + 1;
+  await getStore().put(INVOICE_SEQUENCES, year, { last: sequence, updatedAt: new Date().toISOString() });
+  return sequence;
+};
+
+const formatInvoiceNumber = (year, sequence) => `${INVOICE_CONFIG.prefix}/${year.slice(2)}/${String(sequence).padStart(6, '0')}`;
+
+const describeState = (code) => ({ code, name: GST_STATES[code] || null });
+
+// Issue the invoice for a submission's verified payment. An order only ever gets one invoice,
+// so calling this again returns the existing one.
+const issueInvoice = ({ clientId, formData, paymentInfo }) => serialized(async () => {
+  if (!INVOICE_CONFIG.enabled) {
+    throw new InvoiceError('Invoices are not enabled - set INVOICE_GSTIN', 'INVOICES_DISABLED', 409);
+  }
+  if (!paymentInfo?.verified) {
+    throw new InvoiceError(`Client ID ${clientId} has no verified payment to invoice`, 'PAYMENT_NOT_VERIFIED', 409);
+  }
+
+  const order = await submissions.getOrder(paymentInfo.orderId);
+  if (order?.invoiceNumber) {
+    return getStore().get(INVOICES, order.invoiceNumber);
+  }
+
+  // Orders created through /api/create-payment-order carry their own quote (including coupons)
+  const quote = order?.quote || quoteForService(formData.service);
+  const sellerState = INVOICE_CONFIG.gstin.slice(0, 2);
+  const buyerGstin = formData.gstin || null;
+  const buyerState = buyerGstin ? buyerGstin.slice(0, 2) : stateCodeFor(formData.state);
+  const placeOfSupply = GST_STATES[buyerState] ? buyerState : sellerState;
+
+  const issuedAt = new Date();
+  const year = financialYear(issuedAt);
+  const sequence = await nextSequence(year);
+  const invoiceNumber = formatInvoiceNumber(year, sequence);
+
+  // An issued invoice is never overwritten - a clash means the sequence was lost or reset
+  if (await getStore().get(INVOICES, invoiceNumber)) {
+    throw new InvoiceError(
+      `Invoice number ${invoiceNumber} has already been issued - the invoice sequence is behind the stored invoices`,
+      'INVOICE_NUMBER_TAKEN',
+      500
+    );
+  }
+
+  const invoice = await getStore().put(INVOICES, invoiceNumber, {
+    invoiceNumber,
+    financialYear: year,
+    sequence,
+    clientId,
+    orderId: paymentInfo.orderId,
+    paymentId: paymentInfo.paymentId || null,
+    transactionId: paymentInfo.transactionId || null,
+    issuedAt: issuedAt.toISOString(),
+    seller: {
+      legalName: INVOICE_CONFIG.legalName,
+      address: INVOICE_CONFIG.address,
+      gstin: INVOICE_CONFIG.gstin,
+      state: describeState(sellerState)
+    },
+    buyer: {
+      name: formData.name,
+      email: formData.email,
+      phone: formData.phone,
+      gstin: buyerGstin
+    },
+    placeOfSupply: describeState(placeOfSupply),
+    item: {
+      description: quote.service,
+      sac: INVOICE_CONFIG.sac,
+      quantity: 1,
+      listPrice: quote.basePrice,
+      couponCode: quote.couponCode,
+      discount: quote.discount
+    },
+    taxableValue: quote.taxableValue,
+    gstRate: quote.gstRate,
+    taxes: splitTax(quote, placeOfSupply === sellerState),
+    total: quote.total,
+    catalogueVersion: quote.catalogueVersion
+  });
+
+  await submissions.updateOrder(paymentInfo.orderId, { invoiceNumber });
+  await submissions.updateSubmission(clientId, { invoiceNumber });
+  console.log(`🧾 Invoice ${invoiceNumber} issued for ₹${invoice.total} - Client ID: ${clientId}`);
+  return invoice;
+});
+
+// Issue a submission's invoice later, e.g. when it failed at submission or INVOICE_GSTIN was set since
+const issueInvoiceForClient = async (clientId) => {
+  const submission = await submissions.getSubmission(clientId);
+  if (!submission) {
+    throw new InvoiceError(`No submission found for Client ID: ${clientId}`, 'SUBMISSION_NOT_FOUND', 404);
+  }
+  return issueInvoice(submission);
+};
+
+const getInvoice = (invoiceNumber) => getStore().get(INVOICES, invoiceNumber);
+
+const getInvoiceForClient = async (clientId) => {
+  const submission = await submissions.getSubmission(clientId);
+  return submission?.invoiceNumber ? getInvoice(submission.invoiceNumber) : null;
+};
+
+// Invoices in number order, optionally for one financial year (e.g. 2026-27)
+const listInvoices = async ({ financialYear: year = null } = {}) => {
+  const invoices = await getStore().list(INVOICES, invoice => !year || invoice.financialYear === year);
+  return invoices.sort((a, b) => a.financialYear.localeCompare(b.financialYear) || a.sequence - b.sequence);
+};
+
+// Amounts in words use the Indian system (lakh, crore)
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+  'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const numberInWords = (n) => {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  let rest = n;
+  for (const [unit, name] of [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand'], [100, 'Hundred']]) {
+    if (rest >= unit) {
+      parts.push(`${numberInWords(Math.floor(rest / unit))} ${name}`);
+      rest %= unit;
+    }
+  }
+  if (rest > 0) parts.push(twoDigitWords(rest));
+  return parts.join(' ');
+};
+
+const amountInWords = (amount) => {
+  const paise = toPaise(amount);
+  const rupees = numberInWords(Math.floor(paise / 100));
+  return `Rupees ${rupees}${paise % 100 ? ` and ${twoDigitWords(paise % 100)} Paise` : ''} Only`;
+};
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' });
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 48;
+const SELLER_WIDTH = 220;
+
+const INK = rgb(0.12, 0.16, 0.22);
+const MUTED = rgb(0.42, 0.45, 0.5);
+const ACCENT = rgb(0.15, 0.39, 0.92);
+const RULE = rgb(0.89, 0.91, 0.94);
+
+// Break text into lines that fit a width
+const wrapText = (text, font, size, width) => {
+  const lines = [];
+  let current = '';
+  for (const word of pdfText(text).split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && font.widthOfTextAtSize(candidate, size) > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  return current ? [...lines, current] : lines;
+};
+
+// Build the invoice PDF from its stored record
+const renderInvoicePdf = async (invoice) => {
+  const pdf = await PDFDocument.create();
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold)
+  };
+  pdf.setTitle(`Tax Invoice ${invoice.invoiceNumber}`);
+  pdf.setAuthor(invoice.seller.legalName);
+  pdf.setCreationDate(new Date(invoice.issuedAt));
+  pdf.setModificationDate(new Date(invoice.issuedAt));
+
+  const page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const right = PAGE_WIDTH - MARGIN;
+
+  const text = (value, x, y, { size = 10, font = fonts.regular, color = INK, align = 'left', maxWidth = right - x } = {}) => {
+    const fitted = fitText(pdfText(value), font, size, maxWidth);
+    const left = align === 'right' ? x - font.widthOfTextAtSize(fitted, size) : x;
+    page.drawText(fitted, { x: left, y, size, font, color });
+  };
+  const rule = (y) => page.drawLine({ start: { x: MARGIN, y }, end: { x: right, y }, thickness: 1, color: RULE });
+
+  // Seller on the left, invoice details on the right
+  let y = PAGE_HEIGHT - MARGIN - 16;
+  text(invoice.seller.legalName, MARGIN, y, { size: 16, font: fonts.bold, color: ACCENT, maxWidth: SELLER_WIDTH });
+  text('TAX INVOICE', right, y, { size: 18, font: fonts.bold, align: 'right' });
+
+  let sellerY = y - 20;
+  wrapText(invoice.seller.address || '', fonts.regular, 10, SELLER_WIDTH).forEach(line => {
+    text(line, MARGIN, sellerY, { maxWidth: SELLER_WIDTH });
+    sellerY -= 14;
+  });
+  text(`GSTIN: ${invoice.seller.gstin}`, MARGIN, sellerY, { font: fonts.bold, maxWidth: SELLER_WIDTH });
+  text(`State: ${invoice.seller.state.name} (${invoice.seller.state.code})`, MARGIN, sellerY - 14, { maxWidth: SELLER_WIDTH });
+  sellerY -= 28;
+
+  let detailY = y - 24;
+  [
+    ['Invoice No.', invoice.invoiceNumber],
+    ['Invoice date', formatDate(invoice.issuedAt)],
+    ['Client ID', invoice.clientId],
+    ['Order ID', invoice.orderId],
+    ['Transaction ID', invoice.transactionId || '-'],
+    ['Payment ID', invoice.paymentId || '-']
+  ].forEach(([label, value]) => {
+    text(label, 290, detailY, { size: 9, color: MUTED });
+    text(value, right, detailY, { size: 9, font: fonts.bold, align: 'right', maxWidth: right - 360 });
+    detailY -= 14;
+  });
+
+  y = Math.min(sellerY, detailY) - 8;
+  rule(y);
+
+  // Customer
+  y -= 20;
+  text('Bill to', MARGIN, y, { size: 9, font: fonts.bold, color: MUTED });
+  y -= 16;
+  text(invoice.buyer.name, MARGIN, y, { size: 12, font: fonts.bold });
+  [
+    invoice.buyer.email,
+    invoice.buyer.phone,
+    `GSTIN: ${invoice.buyer.gstin || 'Unregistered'}`,
+    `Place of supply: ${invoice.placeOfSupply.name} (${invoice.placeOfSupply.code})`
+  ].forEach(line => {
+    y -= 14;
+    text(line, MARGIN, y);
+  });
+
+  // Line item
+  y -= 30;
+  const columns = { index: MARGIN, description: MARGIN + 24, sac: 340, quantity: 400, amount: right };
+  page.drawRectangle({ x: MARGIN, y: y - 6, width: right - MARGIN, height: 20, color: rgb(0.95, 0.96, 0.98) });
+  text('#', columns.index, y, { size: 9, font: fonts.bold, color: MUTED });
+  text('Description', columns.description, y, { size: 9, font: fonts.bold, color: MUTED });
+  text('SAC', columns.sac, y, { size: 9, font: fonts.bold, color: MUTED });
+  text('Qty', columns.quantity, y, { size: 9, font: fonts.bold, color: MUTED });
+  text('Taxable value (Rs.)', columns.amount, y, { size: 9, font: fonts.bold, color: MUTED, align: 'right' });
+
+  y -= 24;
+  const { item } = invoice;
+  text('1', columns.index, y);
+  text(item.description, columns.description, y, { font: fonts.bold, maxWidth: columns.sac - columns.description - 10 });
+  text(item.sac, columns.sac, y);
+  text(String(item.quantity), columns.quantity, y);
+  text(formatAmount(invoice.taxableValue), columns.amount, y, { align: 'right' });
+  const priceNote = item.couponCode
+    ? `Package price Rs. ${formatAmount(item.listPrice)} incl. GST, less coupon ${item.couponCode} Rs. ${formatAmount(item.discount)}`
+    : `Package price Rs. ${formatAmount(item.listPrice)} incl. GST`;
+  wrapText(priceNote, fonts.regular, 8, columns.sac - columns.description - 10).forEach(line => {
+    y -= 11;
+    text(line, columns.description, y, { size: 8, color: MUTED });
+  });
+  y -= 14;
+  rule(y);
+
+  // Tax summary
+  const summaryLabel = 340;
+  y -= 18;
+  [
+    ['Taxable value', invoice.taxableValue],
+    ...invoice.taxes.map(tax => [`${tax.type} @ ${tax.rate}%`, tax.amount])
+  ].forEach(([label, amount]) => {
+    text(label, summaryLabel, y);
+    text(formatAmount(amount), right, y, { align: 'right' });
+    y -= 16;
+  });
+  page.drawLine({ start: { x: summaryLabel, y: y + 10 }, end: { x: right, y: y + 10 }, thickness: 1, color: RULE });
+  y -= 4;
+  text('Total (Rs.)', summaryLabel, y, { size: 12, font: fonts.bold });
+  text(formatAmount(invoice.total), right, y, { size: 12, font: fonts.bold, align: 'right' });
+
+  y -= 26;
+  text('Amount in words', MARGIN, y, { size: 9, font: fonts.bold, color: MUTED });
+  wrapText(amountInWords(invoice.total), fonts.regular, 10, right - MARGIN).forEach(line => {
+    y -= 14;
+    text(line, MARGIN, y);
+  });
+
+  y -= 24;
+  text(`Paid in full online against order ${invoice.orderId}.`, MARGIN, y);
+
+  // Footer
+  text('Tax payable on reverse charge: No', MARGIN, MARGIN + 14, { size: 8, color: MUTED });
+  text('This is a computer-generated invoice and does not require a signature.', MARGIN, MARGIN, { size: 8, color: MUTED });
+
+  return Buffer.from(await pdf.save());
+};
+
+const invoiceFilename = (invoice) => `Invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+// An email attachment for the invoice. Messages wait in the outbox as JSON, so the PDF is base64.
+const createInvoiceAttachment = async (invoice) => ({
+  filename: invoiceFilename(invoice),
+  content: (await renderInvoicePdf(invoice)).toString('base64'),
+  encoding: 'base64',
+  contentType: 'application/pdf'
+});
+
+module.exports = {
+  INVOICE_CONFIG,
+  GST_STATES,
+  InvoiceError,
+  stateNames,
+  financialYear,
+  amountInWords,
+  issueInvoice,
+  issueInvoiceForClient,
+  getInvoice,
+  getInvoiceForClient,
+  listInvoices,
+  renderInvoicePdf,
+  invoiceFilename,
+  createInvoiceAttachment
+};
@@ -0,0 +1,161 @@
+const path = require('path');
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const axios = require('axios');
+const { config } = require('../config');
+
+// Config-driven mail transports with failover
+// MAIL_TRANSPORT picks the primary transport and MAIL_FAILOVER_TRANSPORT an optional
+// secondary one, used whenever the primary's sendMail fails. Settings for the failover
+// transport use the same variable names with a FAILOVER_ prefix (e.g. FAILOVER_SMTP_HOST);
+// config.js reads and checks them, and each factory receives its transport's settings.
+//
+//   gmail  - Gmail with an app password (EMAIL_USER / EMAIL_PASS), the default
+//   smtp   - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, TLS options)
+//   oauth2 - Google Workspace over OAuth2 (EMAIL_USER, MAIL_OAUTH_CLIENT_ID, MAIL_OAUTH_CLIENT_SECRET, MAIL_OAUTH_REFRESH_TOKEN)
+//   http   - an HTTP email API (MAIL_HTTP_URL, MAIL_HTTP_API_KEY)
+//   file   - writes each message as an .eml file to MAIL_FILE_DIR (development)
+//   stream - builds messages without sending them (tests)
+
+const defaultFrom = config.mail.from;
+
+// Custom nodemailer transport that posts messages as JSON to an email API
+// Payload: { from, to, cc, bcc, replyTo, subject, html, text, messageId, inReplyTo, references,
+//            attachments: [{ filename, content (base64), contentType }] }
+const createHttpTransport = ({ url, apiKey, timeout }) => {
+  if (!url) {
+    throw new Error('MAIL_HTTP_URL is required for the http mail transport');
+  }
+
+  const readAttachment = async (attachment) => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: attachment.path
+      ? (await fs.promises.readFile(attachment.path)).toString('base64')
+      : Buffer.from(attachment.content || '', attachment.encoding).toString('base64')
+  });
+
+  return nodemailer.createTransport({
+    name: 'http',
+    version: '1.0.0',
+    send: (mail, callback) => {
+      const { from, to, cc, bcc, replyTo, subject, html, text, messageId, inReplyTo, references, attachments = [] } = mail.data;
+
+      Promise.all(attachments.map(readAttachment))
+        .then(encoded => axios.post(url, {
+          from, to, cc, bcc, replyTo, subject, html, text, messageId, inReplyTo, references, attachments: encoded
+        }, {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          timeout
+        }))
+        .then(response => callback(null, {
+          messageId: response.data?.id || response.data?.messageId || null,
+          envelope: mail.message.getEnvelope(),
+          response: `HTTP ${response.status}`
+        }))
+        .catch(error => callback(new Error(`HTTP mail API error: ${error.response?.status || ''} ${error.message}`.trim())));
+    }
+  });
+};
+
+// Development transport: build the message and save it as an .eml file
+const createFileTransport = ({ directory = path.join(__dirname, '..', 'mail-outbox') }) => {
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (message) => {
+      const info = await streamTransport.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filePath = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '')}.eml`);
+      await fs.promises.writeFile(filePath, info.message);
+      console.log(`📝 Email written to ${filePath}`);
+      return { ...info, filePath };
+    }
+  };
+};
+
+const transportFactories = {
+  gmail: ({ user, pass }) => nodemailer.createTransport({
+    service: 'gmail',
+    auth: { user, pass }
+  }),
+
+  smtp: (settings) => nodemailer.createTransport({
+    host: settings.host,
+    port: settings.port,
+    secure: settings.secure, // true for port 465, false for STARTTLS
+    requireTLS: settings.requireTLS,
+    auth: settings.user
+      ? { user: settings.user, pass: settings.pass }
+      : undefined,
+    tls: {
+      rejectUnauthorized: settings.tlsRejectUnauthorized,
+      minVersion: settings.tlsMinVersion,
+      servername: settings.tlsServername || undefined
+    },
+    pool: settings.pool
+  }),
+
+  oauth2: ({ user, clientId, clientSecret, refreshToken }) => nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      type: 'OAuth2',
+      user,
+      clientId,
+      clientSecret,
+      refreshToken
+    }
+  }),
+
+  http: createHttpTransport,
+
+  file: createFileTransport,
+
+  stream: () => nodemailer.createTransport({ streamTransport: true, buffer: true })
+};
+
+// `settings` is one of config.mail.primary / config.mail.failover
+const createMailTransport = ({ type, ...settings }, { failover = false } = {}) => {
+  const factory = transportFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${type}`);
+  }
+  return { name: failover ? `${type} (failover)` : type, transport: factory(settings) };
+};
+
+const transports = [createMailTransport(config.mail.primary)];
+if (config.mail.failover) {
+  transports.push(createMailTransport(config.mail.failover, { failover: true }));
+}
+
+// Send through the primary transport, falling back to the failover transport on error
+const sendMail = async (message) => {
+  let lastError = null;
+
+  for (const { name, transport } of transports) {
+    try {
+      const info = await transport.sendMail(message);
+      if (lastError) {
+        console.warn(`🔀 Email to ${message.to} delivered via ${name} after primary transport failed`);
+      }
+      return { ...info, transport: name };
+    } catch (error) {
+      console.error(`❌ Mail transport ${name} failed for ${message.to}: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+const transportNames = () => transports.map(({ name }) => name);
+
+module.exports = {
+  defaultFrom,
+  sendMail,
+  transportNames,
+  createMailTransport
+};
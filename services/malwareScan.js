@@ -0,0 +1,107 @@
+const fs = require('fs');
+const net = require('net');
+const { config } = require('../config');
+
+// Pluggable malware scanning for uploads
+// MALWARE_SCANNER selects the scanner: `none` (default, accepts everything) or `clamav`, which streams
+// each file to a ClamAV-compatible daemon (clamd) with the INSTREAM command.
+// Every scanner resolves to { clean, signature, scanner } and rejects when the file could not be scanned.
+
+class ScanUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScanUnavailableError';
+    this.code = 'SCAN_UNAVAILABLE';
+  }
+}
+
+const noopScanner = () => ({
+  name: 'none',
+  scan: async () => ({ clean: true, signature: null, scanner: 'none' })
+});
+
+// clamd INSTREAM: "zINSTREAM\0", then chunks prefixed with their 4-byte big-endian length,
+// then a zero-length chunk. The reply is "stream: OK" or "stream: <signature> FOUND".
+const clamavScanner = ({
+  host = config.uploads.malwareScanner.clamav.host,
+  port = config.uploads.malwareScanner.clamav.port,
+  socketPath = config.uploads.malwareScanner.clamav.socketPath,
+  timeout = config.uploads.malwareScanner.clamav.timeout
+} = {}) => ({
+  name: 'clamav',
+  scan: (filePath) => new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    let reply = '';
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      reject(new ScanUnavailableError(`ClamAV scan failed: ${error.message}`));
+    };
+
+    socket.setTimeout(timeout, () => fail(new Error(`no reply after ${timeout}ms`)));
+    socket.on('error', fail);
+    socket.on('data', chunk => { reply += chunk.toString(); });
+    socket.on('end', () => {
+      if (settled) return;
+      settled = true;
+      const result = reply.replace(/\0/g, '').trim();
+      const found = result.match(/^stream: (.+) FOUND$/);
+      if (found) {
+        resolve({ clean: false, signature: found[1], scanner: 'clamav' });
+      } else if (result === 'stream: OK') {
+        resolve({ clean: true, signature: null, scanner: 'clamav' });
+      } else {
+        reject(new ScanUnavailableError(`Unexpected ClamAV reply: ${result || '(empty)'}`));
+      }
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      const stream = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 });
+      stream.on('data', chunk => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length, 0);
+        socket.write(size);
+        socket.write(chunk);
+      });
+      stream.on('end', () => socket.write(Buffer.alloc(4)));
+      stream.on('error', fail);
+    });
+  })
+});
+
+const scanners = {
+  none: noopScanner,
+  clamav: clamavScanner
+};
+
+// Register a custom scanner (e.g. a cloud scanning API) under a name usable in MALWARE_SCANNER
+const registerScanner = (name, factory) => {
+  scanners[name] = factory;
+};
+
+let instance = null;
+
+const getScanner = () => {
+  if (!instance) {
+    const name = config.uploads.malwareScanner.scanner;
+    const factory = scanners[name];
+    if (!factory) {
+      throw new Error(`Unknown malware scanner: ${name}`);
+    }
+    instance = factory();
+  }
+  return instance;
+};
+
+const scanFile = (filePath) => getScanner().scan(filePath);
+
+module.exports = {
+  ScanUnavailableError,
+  registerScanner,
+  getScanner,
+  scanFile
+};
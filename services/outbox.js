@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const submissions = require('./submissions');
+const { sendMail } = require('./mailer');
+
+// Durable email outbox
+// Every message (admin notification, user confirmation, ...) is its own job. A worker
+// polls for due jobs, retries failures with backoff and moves a job to the dead-letter
+// state once it runs out of attempts. Jobs survive restarts because they live in the store.
+const OUTBOX = 'outbox';
+
+const OUTBOX_CONFIG = {
+  maxAttempts: 8,
+  retryDelays: [30000, 60000, 120000, 300000, 600000, 1800000, 3600000], // 30s, 1m, 2m, 5m, 10m, 30m, 1h
+  pollInterval: 10000 // check for due jobs every 10 seconds
+};
+
+// Job states: pending -> sending -> sent, or back to pending with a later nextAttemptAt,
+// or dead once maxAttempts is reached
+const UNSETTLED_STATUSES = ['pending', 'sending'];
+
+let worker = null;
+let onSettledHandler = null;
+
+const retryDelayFor = (attempts) =>
+  OUTBOX_CONFIG.retryDelays[Math.min(attempts - 1, OUTBOX_CONFIG.retryDelays.length - 1)];
+
+const listJobs = (predicate = null) => getStore().list(OUTBOX, predicate);
+
+const listJobsForClient = (clientId) => listJobs(job => job.clientId === clientId);
+
+// Roll the client's jobs up into the submission's email state shown in monitoring
+const syncSubmissionEmailState = async (clientId) => {
+  if (!clientId) return;
+
+  const jobs = (await listJobsForClient(clientId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  if (jobs.length === 0) return;
+
+  const status = jobs.some(job => job.status === 'dead')
+    ? 'failed'
+    : jobs.every(job => job.status === 'sent')
+      ? 'sent'
+      : jobs.some(job => job.attempts > 0 && job.status !== 'sent') ? 'retrying' : 'pending';
+  const waiting = jobs.filter(job => job.status === 'pending').map(job => job.nextAttemptAt).sort();
+  const attempts = jobs
+    .flatMap(job => job.history.map(entry => ({ ...entry, kind: job.kind })))
+    .sort((a, b) => a.at.localeCompare(b.at));
+  const failures = attempts.filter(entry => !entry.success);
+
+  await submissions.updateSubmission(clientId, {
+    email: {
+      status,
+      retryCount: Math.max(0, ...jobs.map(job => job.attempts - (job.status === 'sent' ? 1 : 0))),
+      nextRetryAt: waiting[0] || null,
+      lastError: failures.length > 0 ? failures[failures.length - 1].error : null,
+      lastAttemptAt: attempts.length > 0 ? attempts[attempts.length - 1].at : null,
+      sentAt: status === 'sent' ? attempts[attempts.length - 1].at : null,
+      attempts,
+      messages: jobs.map(job => ({
+        id: job.id,
+        kind: job.kind,
+        to: job.message.to,
+        status: job.status,
+        attempts: job.attempts
+      }))
+    }
+  });
+};
+
+// Notify the registered handler once none of a client's jobs are still in flight
+const notifyIfSettled = async (clientId) => {
+  if (!clientId || !onSettledHandler) return;
+  const jobs = await listJobsForClient(clientId);
+  if (jobs.every(job => !UNSETTLED_STATUSES.includes(job.status))) {
+    await onSettledHandler(clientId, jobs);
+  }
+};
+
+// Queue messages for delivery; each entry is { clientId, kind, message, meta }
+const enqueue = async (entries) => {
+  const now = new Date().toISOString();
+  const jobs = [];
+
+  for (const { clientId = null, kind, message, meta = {} } of entries) {
+    const id = crypto.randomUUID();
+    jobs.push(await getStore().put(OUTBOX, id, {
+      clientId,
+      kind,
+      message,
+      meta,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: OUTBOX_CONFIG.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      history: [],
+      createdAt: now,
+      sentAt: null
+    }));
+  }
+
+  const clientIds = [...new Set(jobs.map(job => job.clientId).filter(Boolean))];
+  await Promise.all(clientIds.map(syncSubmissionEmailState));
+  return jobs;
+};
+
+// Try to send one job; returns the updated job
+const deliverJob = async (jobId) => {
+  // Claim the job so an overlapping worker tick can't send it twice
+  const claimed = await getStore().update(OUTBOX, jobId, (job) => (
+    job.status === 'pending' ? { status: 'sending', claimedAt: new Date().toISOString() } : {}
+  ));
+  if (!claimed || claimed.status !== 'sending') return claimed;
+
+  const attempts = claimed.attempts + 1;
+  const at = new Date().toISOString();
+  let job;
+
+  try {
+    await sendMail(claimed.message);
+    job = await getStore().update(OUTBOX, jobId, {
+      status: 'sent',
+      attempts,
+      sentAt: at,
+      lastError: null,
+      history: [...claimed.history, { at, success: true, error: null }]
+    });
+    console.log(`✅ ${claimed.kind} email sent to ${claimed.message.to}${claimed.clientId ? ` - Client ID: ${claimed.clientId}` : ''} (attempt ${attempts})`);
+  } catch (error) {
+    const dead = attempts >= claimed.maxAttempts;
+    const delay = retryDelayFor(attempts);
+    job = await getStore().update(OUTBOX, jobId, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      nextAttemptAt: dead ? null : new Date(Date.now() + delay).toISOString(),
+      lastError: error.message,
+      history: [...claimed.history, { at, success: false, error: error.message }]
+    });
+
+    if (dead) {
+      console.error(`☠️ ${claimed.kind} email to ${claimed.message.to} moved to dead letters after ${attempts} attempts${claimed.clientId ? ` - Client ID: ${claimed.clientId}` : ''}: ${error.message}`);
+    } else {
+      console.error(`❌ ${claimed.kind} email to ${claimed.message.to} failed (attempt ${attempts}), retrying in ${delay / 1000} seconds: ${error.message}`);
+    }
+  }
+
+  await syncSubmissionEmailState(job.clientId);
+  await notifyIfSettled(job.clientId);
+  return job;
+};
+
+// Deliver specific jobs right away (used for the first attempt and manual retries)
+const deliverJobs = async (jobs) => {
+  const results = [];
+  for (const job of jobs) {
+    results.push(await deliverJob(job.id));
+  }
+  return results;
+};
+
+// Send every job that is due
+const processDueJobs = async () => {
+  const now = new Date().toISOString();
+  const due = await listJobs(job => job.status === 'pending' && job.nextAttemptAt <= now);
+  return deliverJobs(due.sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt)));
+};
+
+// Make a client's failed or dead-lettered jobs due now and send them
+// Returns null when there is nothing left to send for the client
+const requeueClientJobs = async (clientId) => {
+  const unsent = await listJobs(job => job.clientId === clientId && ['pending', 'dead'].includes(job.status));
+  if (unsent.length === 0) return null;
+
+  const requeued = [];
+  for (const job of unsent) {
+    requeued.push(await getStore().update(OUTBOX, job.id, (current) => (
+      ['pending', 'dead'].includes(current.status)
+        ? {
+            status: 'pending',
+            nextAttemptAt: new Date().toISOString(),
+            maxAttempts: Math.max(current.maxAttempts, current.attempts + 1)
+          }
+        : {}
+    )));
+  }
+
+  return deliverJobs(requeued.filter(job => job.status === 'pending'));
+};
+
+// Start the polling worker. `onSettled(clientId, jobs)` runs once a client's jobs are all sent or dead.
+const startWorker = async ({ onSettled = null } = {}) => {
+  if (worker) return;
+  onSettledHandler = onSettled;
+
+  // A crash mid-send leaves jobs in 'sending'; put them back in the queue
+  const stuck = await listJobs(job => job.status === 'sending');
+  for (const job of stuck) {
+    await getStore().update(OUTBOX, job.id, { status: 'pending' });
+  }
+
+  const pending = await listJobs(job => job.status === 'pending');
+  console.log(`📮 Email outbox worker started (${pending.length} pending, ${stuck.length} recovered)`);
+
+  let running = false;
+  worker = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueJobs();
+    } catch (error) {
+      console.error('❌ Email outbox worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, OUTBOX_CONFIG.pollInterval);
+};
+
+const stopWorker = () => {
+  if (worker) {
+    clearInterval(worker);
+    worker = null;
+  }
+};
+
+module.exports = {
+  OUTBOX_CONFIG,
+  enqueue,
+  deliverJobs,
+  processDueJobs,
+  requeueClientJobs,
+  listJobs,
+  listJobsForClient,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,184 @@
+const cashfree = require('./cashfree');
+const submissions = require('./submissions');
+const { quoteForService, amountMatchesQuote, PricingError } = require('./pricing');
+
+// Server-side verification of the payment attached to a contact form submission
+// The browser only tells us which order it paid for; status and amount come from the
+// recorded webhook state or from Cashfree directly.
+
+class PaymentVerificationError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'PaymentVerificationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// A 4xx from Cashfree is an answer, not an outage: the order ID is unknown or malformed, or our
+// credentials were refused. None of these may fall back to an unverified submission.
+const rejectedByCashfree = (error, orderId) => {
+  const status = error.response.status;
+  if (status === 404) {
+    return new PaymentVerificationError(`Payment order ${orderId} was not found`, 'ORDER_NOT_FOUND');
+  }
+  if (status === 401 || status === 403) {
+    console.error(`❌ Cashfree refused our credentials while verifying order ${orderId} - check CASHFREE_APP_ID and CASHFREE_SECRET_KEY`);
+    return new PaymentVerificationError(
+      'Your payment could not be verified right now. Please contact us with your order ID.',
+      'PAYMENT_VERIFICATION_FAILED',
+      502
+    );
+  }
+  return new PaymentVerificationError(`Payment order ${orderId} could not be verified`, 'INVALID_ORDER');
+};
+
+// Ask Cashfree for the order and its successful payment
+const fetchOrderFromCashfree = async (orderId) => {
+  let order;
+  let payment = null;
+  try {
+    order = await cashfree.getOrder(orderId);
+    if (order.order_status === 'PAID') {
+      const payments = await cashfree.getOrderPayments(orderId);
+      payment = (Array.isArray(payments) ? payments : []).find(p => p.payment_status === 'SUCCESS') || null;
+    }
+  } catch (error) {
+    if (cashfree.isRejection(error)) {
+      throw rejectedByCashfree(error, orderId);
+    }
+    throw error;
+  }
+
+  return {
+    status: order.order_status,
+    amount: order.order_amount,
+    paymentId: payment?.cf_payment_id || null,
+    transactionId: payment?.bank_reference || payment?.cf_payment_id || null
+  };
+};
+
+// Mark the order as used by this client ID, unless another submission already claimed it
+const claimOrder = async (orderId, clientId, details) => {
+  const claimed = await submissions.updateOrder(orderId, (order) => (
+    order.clientId ? {} : { ...details, clientId }
+  ));
+  if (claimed) return claimed;
+
+  await submissions.recordOrder({ orderId, ...details });
+  return submissions.updateOrder(orderId, (order) => (order.clientId ? {} : { clientId }));
+};
+
+// Returns the trusted paymentInfo for a submission, or throws PaymentVerificationError
+const verifySubmissionPayment = async ({ orderId, service, clientId }) => {
+  if (!orderId) {
+    throw new PaymentVerificationError('Payment order ID is required', 'ORDER_ID_REQUIRED');
+  }
+
+  const stored = await submissions.getOrder(orderId);
+  if (stored?.clientId && stored.clientId !== clientId) {
+    throw new PaymentVerificationError('This payment has already been used for another submission', 'ORDER_ALREADY_USED', 409);
+  }
+
+  const webhookPaid = stored?.webhookConfirmed && stored.status === 'PAID';
+  const remote = webhookPaid
+    ? null
+    : await fetchOrderFromCashfree(orderId);
+  const status = webhookPaid ? stored.status : remote.status;
+  const amount = webhookPaid ? (stored.paymentAmount ?? stored.amount) : remote.amount;
+
+  if (status !== 'PAID') {
+    throw new PaymentVerificationError(`Payment for order ${orderId} is not complete (status: ${status})`, 'NOT_PAID', 402);
+  }
+
+  if (stored?.service && stored.service !== service) {
+    throw new PaymentVerificationError('The payment was made for a different service', 'SERVICE_MISMATCH');
+  }
+
+  // Orders created through /api/create-payment-order carry their own quote (including coupons)
+  let expected;
+  try {
+    expected = stored?.quote || quoteForService(service);
+  } catch (error) {
+    if (error instanceof PricingError) {
+      throw new PaymentVerificationError(error.message, error.code);
+    }
+    throw error;
+  }
+  if (!amountMatchesQuote(amount, expected)) {
+    throw new PaymentVerificationError(
+      `Paid amount ₹${amount} does not match the price ₹${expected.total} for ${service}`,
+      'AMOUNT_MISMATCH'
+    );
+  }
+
+  const paymentId = webhookPaid ? stored.paymentId : remote.paymentId || stored?.paymentId || null;
+  const order = await claimOrder(orderId, clientId, {
+    status: 'PAID',
+    paymentId,
+    paymentAmount: amount,
+    amount: stored?.amount ?? amount,
+    service: stored?.service || service
+  });
+  if (order.clientId !== clientId) {
+    throw new PaymentVerificationError('This payment has already been used for another submission', 'ORDER_ALREADY_USED', 409);
+  }
+
+  return {
+    paymentId,
+    orderId,
+    amount,
+    transactionId: (webhookPaid ? null : remote.transactionId) || paymentId,
+    orderStatus: 'PAID',
+    verified: true,
+    verificationSource: webhookPaid ? 'webhook' : 'cashfree'
+  };
+};
+
+// Cashfree could not be reached (network error, timeout or 5xx), so the submission is accepted
+// marked UNVERIFIED. Only an order /api/create-payment-order recorded qualifies, and the amount is
+// that order's price, never the browser's. The order is claimed for this client ID: no other
+// submission can use the same payment, and the webhook knows which submission to verify once it
+// confirms the payment. Any other error is passed on unchanged.
+const flagUnverifiedPayment = async ({ orderId, service, clientId, reported = {}, error }) => {
+  if (!cashfree.isUnreachable(error)) {
+    throw error;
+  }
+  console.error(`⚠️ Could not verify payment for order ${orderId}, flagging submission:`, error.response?.data || error.message);
+
+  const stored = orderId ? await submissions.getOrder(orderId) : null;
+  if (!stored) {
+    throw new PaymentVerificationError(`Payment order ${orderId} was not found`, 'ORDER_NOT_FOUND');
+  }
+  if (stored.service && stored.service !== service) {
+    throw new PaymentVerificationError('The payment was made for a different service', 'SERVICE_MISMATCH');
+  }
+
+  const order = await submissions.updateOrder(orderId, (current) => (current.clientId ? {} : { clientId }));
+  if (order.clientId !== clientId) {
+    throw new PaymentVerificationError('This payment has already been used for another submission', 'ORDER_ALREADY_USED', 409);
+  }
+
+  return {
+    paymentId: reported.paymentId || null,
+    orderId,
+    amount: stored.quote?.total ?? stored.amount ?? null,
+    transactionId: reported.transactionId || reported.paymentId || null,
+    orderStatus: 'UNVERIFIED',
+    verified: false,
+    verificationError: error.message
+  };
+};
+
+// Give an order back when the submission that claimed it was never saved, so the customer can
+// submit again with the same payment
+const releaseOrder = (orderId, clientId) => submissions.updateOrder(orderId, (order) => (
+  order.clientId === clientId ? { clientId: null } : {}
+));
+
+module.exports = {
+  PaymentVerificationError,
+  verifySubmissionPayment,
+  flagUnverifiedPayment,
+  releaseOrder
+};
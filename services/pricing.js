@@ -0,0 +1,114 @@
+// Versioned price catalogue for Tax And Taxes packages
+// All amounts are in rupees and include GST. Bump `version` whenever prices,
+// coupons or the GST rate change so every order records what it was priced at.
+const PRICE_CATALOGUE = {
+  version: '2025-06-01',
+  currency: 'INR',
+  gstRate: 18, // percent, included in the package price
+  packages: {
+    'Tax Planning With Normal Filing': 799,
+    'Salaried Tax ProAssist': 999,
+    'Capital Gains ProAssist': 2599,
+    'NRI Tax ProAssist': 4899,
+    'Tax Planning With Normal Filing - Revised': 1199,
+    'Salaried Tax ProAssist - Revised': 1499,
+    'Capital Gains ProAssist - Revised': 3099,
+    'NRI Tax ProAssist - Revised': 5899
+  },
+  // Coupon codes, e.g. { EARLYBIRD: { type: 'percent', value: 10, services: ['Salaried Tax ProAssist'] } }
+  // `type` is 'percent' or 'flat' (rupees). Omit `services` to apply to every package.
+  coupons: {}
+};
+
+const REVISED_SUFFIX = ' - Revised';
+
+// Package pricing mapping (service name -> price in rupees)
+const packagePricing = PRICE_CATALOGUE.packages;
+
+class PricingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PricingError';
+    this.code = code;
+  }
+}
+
+// Work in paise so rounding never drifts between the breakdown and the total
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+const toRupees = (paise) => Math.round(paise) / 100;
+
+const findCoupon = (couponCode, service) => {
+  if (!couponCode) return null;
+
+  const code = String(couponCode).trim().toUpperCase();
+  const coupon = PRICE_CATALOGUE.coupons[code];
+  if (!coupon) {
+    throw new PricingError(`Coupon ${code} is not valid`, 'INVALID_COUPON');
+  }
+  if (coupon.services && !coupon.services.includes(service)) {
+    throw new PricingError(`Coupon ${code} cannot be applied to ${service}`, 'INVALID_COUPON');
+  }
+
+  return { code, ...coupon };
+};
+
+// Build an itemised quote for a service, optionally applying a coupon
+const quoteForService = (service, couponCode = null) => {
+  if (!service || !Object.prototype.hasOwnProperty.call(packagePricing, service)) {
+    throw new PricingError(`Unknown service: ${service}`, 'UNKNOWN_SERVICE');
+  }
+
+  const basePaise = toPaise(packagePricing[service]);
+  const coupon = findCoupon(couponCode, service);
+
+  let discountPaise = 0;
+  if (coupon) {
+    discountPaise = coupon.type === 'percent'
+      ? Math.round(basePaise * coupon.value / 100)
+      : toPaise(coupon.value);
+    discountPaise = Math.min(discountPaise, basePaise);
+  }
+
+  const totalPaise = basePaise - discountPaise;
+  const taxablePaise = Math.round(totalPaise * 100 / (100 + PRICE_CATALOGUE.gstRate));
+  const gstPaise = totalPaise - taxablePaise;
+
+  const lines = [
+    { type: 'package', description: service, amount: toRupees(basePaise) }
+  ];
+  if (coupon) {
+    lines.push({ type: 'discount', description: `Coupon ${coupon.code}`, amount: -toRupees(discountPaise) });
+  }
+  lines.push(
+    { type: 'taxable', description: 'Taxable value', amount: toRupees(taxablePaise) },
+    { type: 'gst', description: `GST @ ${PRICE_CATALOGUE.gstRate}% (included)`, amount: toRupees(gstPaise) }
+  );
+
+  return {
+    catalogueVersion: PRICE_CATALOGUE.version,
+    currency: PRICE_CATALOGUE.currency,
+    service,
+    baseService: service.endsWith(REVISED_SUFFIX) ? service.slice(0, -REVISED_SUFFIX.length) : service,
+    isRevised: service.endsWith(REVISED_SUFFIX),
+    couponCode: coupon ? coupon.code : null,
+    basePrice: toRupees(basePaise),
+    discount: toRupees(discountPaise),
+    taxableValue: toRupees(taxablePaise),
+    gstRate: PRICE_CATALOGUE.gstRate,
+    gstAmount: toRupees(gstPaise),
+    total: toRupees(totalPaise),
+    lines
+  };
+};
+
+// Check a client-supplied amount against the server-side quote
+const amountMatchesQuote = (amount, quote) => toPaise(amount) === toPaise(quote.total);
+
+module.exports = {
+  PRICE_CATALOGUE,
+  REVISED_SUFFIX,
+  packagePricing,
+  PricingError,
+  quoteForService,
+  amountMatchesQuote
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { config } = require('../config');
+
+// Uploads that fail content checks or malware scanning are moved here instead of being
+// attached to emails, with a record of why they were held.
+const QUARANTINE = 'quarantine';
+
+const quarantineDir = config.uploads.quarantineDir;
+
+const hashFile = async (filePath) => crypto
+  .createHash('sha256')
+  .update(await fs.promises.readFile(filePath))
+  .digest('hex');
+
+// rename() fails across devices (e.g. /tmp on a different mount), so fall back to copy + delete
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+};
+
+// Move an uploaded file into quarantine and record the reason
+const quarantineFile = async (file, { code, message, signature = null, detectedType = null, submitter = {} }) => {
+  await fs.promises.mkdir(quarantineDir, { recursive: true });
+
+  const id = `Q_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  const quarantinedPath = path.join(quarantineDir, `${id}.bin`);
+  const sha256 = await hashFile(file.path);
+  await moveFile(file.path, quarantinedPath);
+
+  const record = await getStore().put(QUARANTINE, id, {
+    quarantineId: id,
+    code,
+    message,
+    signature,
+    fieldname: file.fieldname,
+    originalname: file.originalname,
+    claimedType: file.mimetype,
+    detectedType,
+    size: file.size,
+    sha256,
+    path: quarantinedPath,
+    submitter,
+    quarantinedAt: new Date().toISOString()
+  });
+
+  console.warn(`☣️ Quarantined ${file.originalname} (${code}${signature ? `: ${signature}` : ''}) as ${id}`);
+  return record;
+};
+
+const getQuarantined = (id) => getStore().get(QUARANTINE, id);
+
+// Delete a quarantined file once it has been kept long enough; the record stays for reference
+const removeQuarantined = async (record) => {
+  await fs.promises.rm(record.path, { force: true });
+  return getStore().update(QUARANTINE, record.quarantineId, { deletedAt: new Date().toISOString() });
+};
+
+const listQuarantined = async () => {
+  const records = await getStore().list(QUARANTINE);
+  return records.sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+};
+
+module.exports = {
+  quarantineDir,
+  quarantineFile,
+  getQuarantined,
+  removeQuarantined,
+  listQuarantined
+};
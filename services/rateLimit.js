@@ -0,0 +1,72 @@
+const { config } = require('../config');
+
+// Fixed-window rate limiting for the public API
+// Counters live in a pluggable store selected by RATE_LIMIT_STORE. Every store exposes
+// hit(key, windowMs) -> { count, resetAt } and reset(key). The in-memory store (default) is per
+// process, so a deployment with several instances should register a shared store (e.g. Redis).
+
+// { max, windowMs } per limit, from RATE_LIMIT_* settings such as RATE_LIMIT_CONTACT_IP=10/1h
+const RATE_LIMITS = config.rateLimits;
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.windows = new Map();
+    // Drop finished windows so the map doesn't grow with every client ever seen
+    this.pruner = setInterval(() => this.prune(), 60 * 1000);
+    this.pruner.unref();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+const stores = {
+  memory: () => new MemoryRateLimitStore()
+};
+
+// Register a custom store under a name usable in RATE_LIMIT_STORE
+const registerRateLimitStore = (name, factory) => {
+  stores[name] = factory;
+};
+
+let instance = null;
+
+const getRateLimitStore = () => {
+  if (!instance) {
+    const name = config.rateLimits.store;
+    const factory = stores[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    instance = factory();
+    console.log(`🚦 Rate limit store: ${instance.name}`);
+  }
+  return instance;
+};
+
+module.exports = {
+  RATE_LIMITS,
+  MemoryRateLimitStore,
+  registerRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,272 @@
+const cashfree = require('./cashfree');
+const submissions = require('./submissions');
+const { getStore } = require('./store');
+const outbox = require('./outbox');
+const { defaultFrom } = require('./mailer');
+const { renderEmail, getContent } = require('./emailTemplates');
+
+// Refunds and cancellations for paid submissions
+// Each refund is linked to the submission's client ID and records who issued it and why.
+const REFUNDS = 'refunds';
+
+// Refund statuses that still count against the refundable balance: REQUESTED is ours,
+// for a refund that is being sent to Cashfree, the rest are Cashfree's
+const ACTIVE_REFUND_STATUSES = ['REQUESTED', 'PENDING', 'SUCCESS', 'ONHOLD'];
+
+class RefundError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+const listRefunds = (predicate = null) => getStore().list(REFUNDS, predicate);
+
+const getRefund = (refundId) => getStore().get(REFUNDS, refundId);
+
+const listRefundsForClient = (clientId) => listRefunds(refund => refund.clientId === clientId);
+
+// Move the order to REFUNDED / PARTIALLY_REFUNDED once refunds settle
+const syncOrderRefundState = async (orderId) => {
+  const order = await submissions.getOrder(orderId);
+  if (!order) return null;
+
+  const settled = await listRefunds(refund => refund.orderId === orderId && refund.status === 'SUCCESS');
+  const refundedPaise = settled.reduce((sum, refund) => sum + toPaise(refund.amount), 0);
+  if (refundedPaise === 0) return order;
+
+  const paidPaise = toPaise(order.paymentAmount ?? order.amount);
+  return submissions.updateOrder(orderId, {
+    status: refundedPaise >= paidPaise ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+    refundedAmount: refundedPaise / 100
+  });
+};
+
+const createRefundEmailTemplate = (submission, refund) => {
+  const isComplete = refund.status === 'SUCCESS';
+  return {
+    from: defaultFrom,
+    to: submission.formData.email,
+    subject: `${isComplete ? '✅ Refund processed' : '💸 Refund initiated'} - ${getContent().companyName} - Client ID: ${submission.clientId}`,
+    ...renderEmail('refund', { submission, refund, isComplete })
+  };
+};
+
+// Refund emails go through the outbox so a mail failure never undoes a refund
+const sendRefundEmail = async (submission, refund) => {
+  await outbox.enqueue([{
+    clientId: submission.clientId,
+    kind: 'refund',
+    message: createRefundEmailTemplate(submission, refund),
+    meta: {
+      customerName: submission.formData.name,
+      customerEmail: submission.formData.email,
+      service: submission.formData.service,
+      refundId: refund.refundId
+    }
+  }]);
+  console.log(`📮 Refund email (${refund.status}) queued for ${submission.formData.email} - Refund ID: ${refund.refundId}`);
+};
+
+// Refunds are recorded one at a time, so two operators refunding the same order at once
+// can never both pass the balance check or get the same refund ID
+let queue = Promise.resolve();
+
+const serialized = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Check the refundable balance and record the refund as REQUESTED, which holds its amount
+// against the balance until Cashfree answers
+const reserveRefund = ({ clientId, amount, reason, operator }) => serialized(async () => {
+  const submission = await submissions.getSubmission(clientId);
+  if (!submission) {
+    throw new RefundError(`No submission found for Client ID: ${clientId}`, 'SUBMISSION_NOT_FOUND', 404);
+  }
+
+  const orderId = submission.paymentInfo?.orderId;
+  const order = orderId ? await submissions.getOrder(orderId) : null;
+  if (!order || !['PAID', 'PARTIALLY_REFUNDED'].includes(order.status)) {
+    throw new RefundError(`Client ID ${clientId} has no paid order to refund`, 'NOT_REFUNDABLE', 409);
+  }
+
+  const previous = await listRefunds(refund => refund.orderId === orderId);
+  const committedPaise = previous
+    .filter(refund => ACTIVE_REFUND_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + toPaise(refund.amount), 0);
+  const remainingPaise = toPaise(order.paymentAmount ?? order.amount) - committedPaise;
+
+  const refundPaise = amount === null || amount === undefined || amount === ''
+    ? remainingPaise
+    : toPaise(amount);
+  if (!Number.isFinite(refundPaise) || refundPaise <= 0 || refundPaise > remainingPaise) {
+    throw new RefundError(
+      `Refund amount must be between ₹0.01 and ₹${remainingPaise / 100}`,
+      'INVALID_AMOUNT'
+    );
+  }
+
+  const refundId = `REFUND_${clientId}_${(await listRefundsForClient(clientId)).length + 1}`;
+  const now = new Date().toISOString();
+  const refund = await getStore().put(REFUNDS, refundId, {
+    refundId,
+    clientId,
+    orderId,
+    amount: refundPaise / 100,
+    type: refundPaise === toPaise(order.paymentAmount ?? order.amount) ? 'FULL' : 'PARTIAL',
+    reason,
+    operator,
+    status: 'REQUESTED',
+    cfRefundId: null,
+    createdAt: now,
+    updatedAt: now
+  });
+  return { submission, refund };
+});
+
+// Issue a full (amount omitted) or partial refund for a client's paid order
+const issueRefund = async ({ clientId, amount = null, reason, operator, cancel = false }) => {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new RefundError('A refund reason is required', 'REASON_REQUIRED');
+  }
+  if (!operator) {
+    throw new RefundError('The operator issuing the refund is required', 'OPERATOR_REQUIRED');
+  }
+
+  const reserved = await reserveRefund({ clientId, amount, reason, operator });
+  const { submission } = reserved;
+  const { refundId, orderId } = reserved.refund;
+  let refund = reserved.refund;
+  let notified = false;
+
+  try {
+    const response = await cashfree.createRefund(orderId, {
+      refund_amount: refund.amount,
+      refund_id: refundId,
+      refund_note: reason.slice(0, 100),
+      refund_speed: 'STANDARD'
+    });
+    refund = await getStore().update(REFUNDS, refundId, {
+      status: response.refund_status || 'PENDING',
+      cfRefundId: response.cf_refund_id || null,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    // 409 is a refund_id Cashfree already has, so that refund may well be going through
+    if (cashfree.isRejection(error) && error.response.status !== 409) {
+      await getStore().update(REFUNDS, refundId, {
+        status: 'FAILED',
+        error: message,
+        updatedAt: new Date().toISOString()
+      });
+      throw new RefundError(`Cashfree rejected the refund: ${message}`, 'CASHFREE_ERROR', 502);
+    }
+
+    // Cashfree may have accepted the refund, so it stays REQUESTED and keeps holding its amount
+    // against the balance until refreshRefundStatus (or the refund webhook) settles it
+    await getStore().update(REFUNDS, refundId, {
+      error: message,
+      updatedAt: new Date().toISOString()
+    });
+    console.error(`⚠️ Refund ${refundId} for Client ID ${clientId} has no answer from Cashfree yet: ${message}`);
+    const settled = await refreshRefundStatus(refundId).catch(() => null);
+    if (!settled || settled.status === 'REQUESTED' || settled.status === 'FAILED') {
+      throw new RefundError(
+        settled?.status === 'FAILED'
+          ? `Cashfree did not receive the refund: ${message}`
+          : `Cashfree did not confirm the refund (${message}). Refund ${refundId} is held until its status is refreshed - check it before issuing another`,
+        settled?.status === 'FAILED' ? 'CASHFREE_ERROR' : 'REFUND_UNCONFIRMED',
+        502
+      );
+    }
+    refund = settled;
+    // applyRefundStatus has already emailed the customer about a completed refund
+    notified = settled.status === 'SUCCESS';
+  }
+
+  console.log(`💸 Refund ${refundId} of ₹${refund.amount} issued by ${operator} for Client ID: ${clientId} - ${reason}`);
+
+  if (cancel) {
+    await submissions.updateSubmission(clientId, {
+      status: 'CANCELLED',
+      cancelledAt: refund.createdAt,
+      cancelledBy: operator,
+      cancellationReason: reason
+    });
+  }
+
+  await syncOrderRefundState(orderId);
+  if (!notified) {
+    await sendRefundEmail(submission, refund);
+  }
+  return refund;
+};
+
+// Apply a new refund status, from Cashfree's API or a refund webhook
+const applyRefundStatus = async (refundId, { status, cfRefundId, processedAt = null }) => {
+  const existing = await getRefund(refundId);
+  if (!existing) return null;
+  if (existing.status === status) return existing;
+
+  const refund = await getStore().update(REFUNDS, refundId, {
+    status,
+    cfRefundId: cfRefundId || existing.cfRefundId,
+    processedAt: processedAt || existing.processedAt || null,
+    updatedAt: new Date().toISOString()
+  });
+
+  await syncOrderRefundState(refund.orderId);
+  if (status === 'SUCCESS') {
+    const submission = await submissions.getSubmission(refund.clientId);
+    if (submission) {
+      await sendRefundEmail(submission, refund);
+    }
+  }
+  return refund;
+};
+
+// Ask Cashfree for the latest refund status
+const refreshRefundStatus = async (refundId) => {
+  const existing = await getRefund(refundId);
+  if (!existing) {
+    throw new RefundError(`Refund ${refundId} not found`, 'REFUND_NOT_FOUND', 404);
+  }
+
+  let response;
+  try {
+    response = await cashfree.getRefund(existing.orderId, refundId);
+  } catch (error) {
+    // A refund whose request never reached Cashfree gives its amount back to the balance
+    if (existing.status === 'REQUESTED' && error.response?.status === 404) {
+      return getStore().update(REFUNDS, refundId, {
+        status: 'FAILED',
+        error: existing.error || 'Cashfree has no record of this refund',
+        updatedAt: new Date().toISOString()
+      });
+    }
+    throw error;
+  }
+
+  return applyRefundStatus(refundId, {
+    status: response.refund_status,
+    cfRefundId: response.cf_refund_id,
+    processedAt: response.processed_at
+  });
+};
+
+module.exports = {
+  RefundError,
+  issueRefund,
+  getRefund,
+  listRefunds,
+  listRefundsForClient,
+  applyRefundStatus,
+  refreshRefundStatus
+};
@@ -0,0 +1,102 @@
+const { packagePricing } = require('./pricing');
+const { STAGES } = require('./submissionStatus');
+const { stateNames } = require('./invoices');
+const { config } = require('../config');
+
+// Request schemas for the public API (rules are described in services/validation.js)
+const serviceNames = () => Object.keys(packagePricing);
+
+const BANK_FIELDS = ['bankAccountNumber', 'bankName', 'ifscCode', 'accountHolderName'];
+
+const contactSchema = {
+  name: { label: 'Name', required: true, minLength: 2, maxLength: 100 },
+  email: { label: 'Email', required: true, format: 'email' },
+  phone: { label: 'Phone', required: true, format: 'indianMobile' },
+  service: { label: 'Service', required: true, oneOf: serviceNames },
+  message: { label: 'Message', maxLength: 2000 },
+  panNumber: { label: 'PAN', format: 'pan' },
+  // Printed on the tax invoice and used for its place of supply (see services/invoices.js)
+  state: { label: 'State', oneOf: stateNames },
+  gstin: { label: 'GSTIN', format: 'gstin' },
+  // Bank details are optional, but once one is given the rest are needed for the refund transfer
+  bankAccountNumber: { label: 'Bank account number', requiredWith: BANK_FIELDS, format: 'bankAccount' },
+  bankName: { label: 'Bank name', requiredWith: BANK_FIELDS, maxLength: 100 },
+  ifscCode: { label: 'IFSC code', requiredWith: BANK_FIELDS, format: 'ifsc' },
+  accountHolderName: { label: 'Account holder name', requiredWith: BANK_FIELDS, maxLength: 100 },
+  orderId: { label: 'Order ID', format: 'reference', maxLength: 50 },
+  paymentId: { label: 'Payment ID', maxLength: 100 },
+  transactionId: { label: 'Transaction ID', maxLength: 100 },
+  paymentAmount: { label: 'Payment amount', type: 'number', min: 0 },
+  // Documents sent ahead through a resumable upload session (see services/uploadSessions.js)
+  uploadSessionId: { label: 'Upload session', format: 'reference', maxLength: 64 }
+};
+
+const createPaymentOrderSchema = {
+  customerName: { label: 'Name', required: true, minLength: 2, maxLength: 100 },
+  customerEmail: { label: 'Email', required: true, format: 'email' },
+  customerPhone: { label: 'Phone', required: true, format: 'indianMobile' },
+  service: { label: 'Service', required: true, oneOf: serviceNames },
+  amount: { label: 'Amount', type: 'number', min: 0 },
+  couponCode: { label: 'Coupon code', format: 'couponCode', maxLength: 32 }
+};
+
+const verifyPaymentSchema = {
+  orderId: { label: 'Order ID', required: true, format: 'reference', maxLength: 50 }
+};
+
+// Either the email or a one-time code is needed as well; the route checks that
+const statusLookupSchema = {
+  clientId: { label: 'Client ID', required: true, format: 'clientId' },
+  email: { label: 'Email', format: 'email' },
+  code: { label: 'Code', format: 'statusCode' }
+};
+
+const statusCodeSchema = {
+  clientId: { label: 'Client ID', required: true, format: 'clientId' }
+};
+
+// Omit `amount` to refund the remaining balance; `cancel` is a boolean the route reads as is
+const issueRefundSchema = {
+  clientId: { label: 'Client ID', required: true, format: 'clientId' },
+  amount: { label: 'Amount', type: 'number', min: 0.01 },
+  reason: { label: 'Reason', required: true, minLength: 3, maxLength: 500 }
+};
+
+const updateStageSchema = {
+  stage: { label: 'Stage', required: true, oneOf: () => STAGES.map(item => item.stage) },
+  acknowledgementNumber: { label: 'Acknowledgement number', format: 'acknowledgementNumber' },
+  note: { label: 'Note', maxLength: 500 }
+};
+
+// `documents` (the DOCUMENT_TYPES keys to ask for) is checked by services/documentUploads.js
+const requestDocumentsSchema = {
+  note: { label: 'Note', maxLength: 500 }
+};
+
+// Sent with the files from the upload page
+const uploadDocumentsSchema = {
+  message: { label: 'Message', maxLength: 1000 },
+  uploadSessionId: { label: 'Upload session', format: 'reference', maxLength: 64 }
+};
+
+// A file declared in a resumable upload session, before its chunks are sent
+const uploadFileSchema = {
+  fieldname: { label: 'Document type', required: true, format: 'reference', maxLength: 50 },
+  filename: { label: 'File name', required: true, maxLength: 255 },
+  mimetype: { label: 'File type', required: true, oneOf: config.uploads.allowedTypes },
+  size: { label: 'Size', required: true, type: 'number', min: 1 },
+  sha256: { label: 'SHA-256', format: 'sha256' }
+};
+
+module.exports = {
+  contactSchema,
+  createPaymentOrderSchema,
+  verifyPaymentSchema,
+  statusLookupSchema,
+  statusCodeSchema,
+  issueRefundSchema,
+  updateStageSchema,
+  requestDocumentsSchema,
+  uploadDocumentsSchema,
+  uploadFileSchema
+};
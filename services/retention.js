@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const submissions = require('./submissions');
+const outbox = require('./outbox');
+const { getDocumentStorage } = require('./documentStorage');
+const { removeDocument } = require('./documentVault');
+const { documentTypeFor } = require('./documentRequirements');
+const { listQuarantined, removeQuarantined } = require('./quarantine');
+const { removeOldCspReports } = require('./cspReports');
+const uploadSessions = require('./uploadSessions');
+const { config } = require('../config');
+
+// Document retention
+// Every stored document gets a retention record with its owner (client ID) and expiry. A periodic
+// sweeper (also run on startup) deletes expired documents, orphaned files, old quarantined uploads
+// and abandoned upload sessions, and writes each deletion to the retention log for compliance.
+const RETENTION = 'document_retention';
+const RETENTION_LOG = 'retention_log';
+
+// Retention per document type in ms (DOCUMENT_RETENTION, parsed in config.js). `default` covers
+// every type not listed and `quarantine` covers quarantined uploads.
+const RETENTION_POLICY = config.retention.policy;
+const RETENTION_CONFIG = config.retention;
+
+const HOUR = 60 * 60 * 1000;
+
+const retentionFor = (fieldname) => {
+  const type = documentTypeFor(fieldname);
+  return RETENTION_POLICY[type] ?? RETENTION_POLICY.default;
+};
+
+// A document bundle holds copies of other documents, so it expires with the shortest-lived of them
+const retentionForFile = (file) => file.bundledFields
+  ? Math.min(...file.bundledFields.map(retentionFor))
+  : retentionFor(file.fieldname);
+
+// Record the owner and expiry of freshly stored documents
+const trackDocuments = async (clientId, files) => {
+  const now = Date.now();
+  return Promise.all(files.map(file => getStore().put(RETENTION, file.documentId, {
+    documentId: file.documentId,
+    clientId,
+    fieldname: file.fieldname,
+    documentType: documentTypeFor(file.fieldname),
+    originalname: file.originalname,
+    storage: file.storage,
+    storageKey: file.storageKey,
+    status: 'active',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + retentionForFile(file)).toISOString()
+  })));
+};
+
+const logDeletion = async ({ reason, clientId = null, documentId = null, fieldname = null, location, expiresAt = null }) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await getStore().put(RETENTION_LOG, id, {
+    at: new Date().toISOString(),
+    reason,
+    clientId,
+    documentId,
+    fieldname,
+    location,
+    expiresAt
+  });
+  console.log(`🗑️ Retention: deleted ${location} (${reason}${clientId ? ` - Client ID: ${clientId}` : ''})`);
+};
+
+const markDeleted = async (record, reason) => {
+  const deletedAt = new Date().toISOString();
+  await getStore().update(RETENTION, record.documentId, { status: 'deleted', deletedAt, deletionReason: reason });
+  await submissions.updateSubmission(record.clientId, (submission) => ({
+    documents: (submission.documents || []).map(document =>
+      document.documentId === record.documentId ? { ...document, deletedAt } : document
+    )
+  }));
+};
+
+// Delete one tracked document now, e.g. when its submission could not be saved
+const deleteDocument = async (record, reason) => {
+  await removeDocument(record);
+  await markDeleted(record, reason);
+  await logDeletion({
+    reason,
+    clientId: record.clientId,
+    documentId: record.documentId,
+    fieldname: record.fieldname,
+    location: record.storageKey,
+    expiresAt: record.expiresAt
+  });
+};
+
+// Remove the files of a submission that failed before it was saved
+const discardFiles = async (clientId, files, reason = 'submission-failed') => {
+  for (const file of files) {
+    try {
+      if (file.storageKey) {
+        const record = await getStore().get(RETENTION, file.documentId);
+        if (record) {
+          await deleteDocument(record, reason);
+        } else {
+          await removeDocument(file);
+          await logDeletion({ reason, clientId, documentId: file.documentId, fieldname: file.fieldname, location: file.storageKey });
+        }
+      } else if (file.path && fs.existsSync(file.path)) {
+        await fs.promises.unlink(file.path);
+        await logDeletion({ reason, clientId, fieldname: file.fieldname, location: file.path });
+      }
+    } catch (error) {
+      console.error(`❌ Error deleting file ${file.originalname}:`, error.message);
+    }
+  }
+};
+
+// Expired documents are kept while an admin email linking to them is still being delivered.
+// A dead-lettered one only holds them for RETENTION_DEAD_LETTER_HOLD_DAYS after its last attempt,
+// long enough to requeue it but not forever.
+const DOCUMENT_EMAIL_KINDS = ['admin', 'documents-added'];
+
+const holdsDocuments = (job, now) => {
+  if (!DOCUMENT_EMAIL_KINDS.includes(job.kind)) return false;
+  if (job.status === 'pending' || job.status === 'sending') return true;
+  if (job.status !== 'dead') return false;
+
+  const lastAttempt = job.history?.[job.history.length - 1]?.at || job.createdAt;
+  return new Date(lastAttempt).getTime() + RETENTION_CONFIG.deadLetterHold > now;
+};
+
+const isOnHold = async (clientId, now) => {
+  const jobs = await outbox.listJobsForClient(clientId);
+  return jobs.some(job => holdsDocuments(job, now));
+};
+
+const sweepExpired = async (now) => {
+  const expired = await getStore().list(RETENTION, record =>
+    record.status === 'active' && new Date(record.expiresAt).getTime() <= now
+  );
+  let deleted = 0;
+  let held = 0;
+
+  for (const record of expired) {
+    if (await isOnHold(record.clientId, now)) {
+      held++;
+      continue;
+    }
+    await deleteDocument(record, 'expired');
+    deleted++;
+  }
+  return { deleted, held };
+};
+
+// Objects in document storage without an active retention record
+const sweepOrphanedDocuments = async (now) => {
+  const storage = getDocumentStorage();
+  if (typeof storage.list !== 'function') return 0;
+
+  const active = new Set((await getStore().list(RETENTION, record => record.status === 'active'))
+    .map(record => record.storageKey));
+  let deleted = 0;
+
+  for (const object of await storage.list()) {
+    if (active.has(object.key) || now - new Date(object.modifiedAt).getTime() < RETENTION_CONFIG.orphanGracePeriod) {
+      continue;
+    }
+    await storage.remove(object.key);
+    await logDeletion({ reason: 'orphan', clientId: object.key.split('/')[0], location: object.key });
+    deleted++;
+  }
+  return deleted;
+};
+
+// Plaintext uploads are only kept while a request is being handled; anything older was left behind
+const sweepOrphanedUploads = async (now, uploadsDir) => {
+  if (!uploadsDir) return 0;
+  const entries = await fs.promises.readdir(uploadsDir, { withFileTypes: true }).catch(() => []);
+  let deleted = 0;
+
+  for (const entry of entries.filter(item => item.isFile())) {
+    const filePath = path.join(uploadsDir, entry.name);
+    const { mtime } = await fs.promises.stat(filePath);
+    if (now - mtime.getTime() < RETENTION_CONFIG.orphanGracePeriod) continue;
+
+    await fs.promises.rm(filePath, { force: true });
+    await logDeletion({ reason: 'orphan-upload', location: filePath });
+    deleted++;
+  }
+  return deleted;
+};
+
+const sweepQuarantine = async (now) => {
+  const expired = (await listQuarantined()).filter(record =>
+    !record.deletedAt && now - new Date(record.quarantinedAt).getTime() >= RETENTION_POLICY.quarantine
+  );
+
+  for (const record of expired) {
+    await removeQuarantined(record);
+    await logDeletion({ reason: 'quarantine-expired', fieldname: record.fieldname, location: record.path });
+  }
+  return expired.length;
+};
+
+// Resumable upload sessions that stopped receiving chunks (see services/uploadSessions.js)
+const sweepUploadSessions = async (now) => {
+  const expired = await uploadSessions.listExpiredSessions(now);
+
+  for (const session of expired) {
+    await uploadSessions.removeSession(session);
+    await logDeletion({ reason: 'upload-session-expired', location: uploadSessions.sessionDirectory(session.id) });
+  }
+  return expired.length;
+};
+
+// CSP violation reports are only useful for a while after they arrive
+const sweepCspReports = (now) => removeOldCspReports(now - RETENTION_POLICY.cspReports);
+
+let sweepOptions = {};
+
+// One pass of the sweeper; returns what was deleted
+const sweep = async ({ uploadsDir = sweepOptions.uploadsDir } = {}) => {
+  const now = Date.now();
+  const { deleted, held } = await sweepExpired(now);
+  const summary = {
+    expired: deleted,
+    held,
+    orphanedDocuments: await sweepOrphanedDocuments(now),
+    orphanedUploads: await sweepOrphanedUploads(now, uploadsDir),
+    quarantine: await sweepQuarantine(now),
+    uploadSessions: await sweepUploadSessions(now),
+    cspReports: await sweepCspReports(now)
+  };
+
+  const total = summary.expired + summary.orphanedDocuments + summary.orphanedUploads + summary.quarantine + summary.uploadSessions;
+  if (total > 0 || held > 0 || summary.cspReports > 0) {
+    console.log(`🧹 Retention sweep: ${total} files deleted, ${held} expired documents on hold`, summary);
+  }
+  return summary;
+};
+
+let sweeper = null;
+
+// Run a sweep now (cleaning up after any restart) and then every RETENTION_SWEEP_INTERVAL_MINUTES
+const startSweeper = async (options = {}) => {
+  if (sweeper) return;
+  sweepOptions = options;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweep();
+    } catch (error) {
+      console.error('❌ Retention sweep failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  sweeper = setInterval(run, RETENTION_CONFIG.sweepInterval);
+  console.log(`🧹 Retention sweeper started (every ${RETENTION_CONFIG.sweepInterval / 60000} minutes)`);
+  await run();
+};
+
+const stopSweeper = () => {
+  if (sweeper) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+};
+
+const listDeletions = async ({ clientId = null, reason = null, limit = 100 } = {}) => {
+  const entries = await getStore().list(RETENTION_LOG, entry =>
+    (!clientId || entry.clientId === clientId) &&
+    (!reason || entry.reason === reason)
+  );
+  return entries
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+};
+
+// Policy as configured, in hours, for monitoring
+const describePolicy = () => Object.fromEntries(
+  Object.entries(RETENTION_POLICY).map(([type, period]) => [type, `${period / HOUR}h`])
+);
+
+module.exports = {
+  RETENTION_CONFIG,
+  retentionFor,
+  trackDocuments,
+  discardFiles,
+  sweep,
+  startSweeper,
+  stopSweeper,
+  listDeletions,
+  describePolicy
+};
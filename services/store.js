@@ -0,0 +1,173 @@
+const path = require('path');
+const fs = require('fs');
+const { config } = require('../config');
+
+// Pluggable persistence layer
+// Every adapter stores plain JSON records in named collections keyed by id and
+// exposes the same async API: get, put, update, list and remove.
+
+// In-memory adapter - handy for local experiments, loses everything on restart
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map();
+    this.ready = Promise.resolve();
+  }
+
+  getCollection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  // Durable adapters override this to write each change through
+  persist(collection, entry) {
+    return Promise.resolve();
+  }
+
+  async get(collection, id) {
+    await this.ready;
+    const record = this.getCollection(collection).get(id);
+    return record ? clone(record) : null;
+  }
+
+  async put(collection, id, record) {
+    await this.ready;
+    const stored = { ...clone(record), id };
+    this.getCollection(collection).set(id, stored);
+    await this.persist(collection, { op: 'put', id, record: stored });
+    return clone(stored);
+  }
+
+  // Merge `patch` (or the result of `patch(existing)`) into a record.
+  // The read and write happen in the same tick so concurrent updates never lose changes.
+  async update(collection, id, patch) {
+    await this.ready;
+    const existing = this.getCollection(collection).get(id);
+    if (!existing) return null;
+
+    const changes = typeof patch === 'function' ? patch(clone(existing)) : patch;
+    const stored = { ...existing, ...clone(changes), id };
+    this.getCollection(collection).set(id, stored);
+    await this.persist(collection, { op: 'put', id, record: stored });
+    return clone(stored);
+  }
+
+  async list(collection, predicate = null) {
+    await this.ready;
+    const records = Array.from(this.getCollection(collection).values()).map(clone);
+    return predicate ? records.filter(predicate) : records;
+  }
+
+  async remove(collection, id) {
+    await this.ready;
+    const existed = this.getCollection(collection).delete(id);
+    if (existed) {
+      await this.persist(collection, { op: 'del', id });
+    }
+    return existed;
+  }
+}
+
+// JSON-lines adapter - one append-only log file per collection, compacted on startup
+class JsonLinesAdapter extends MemoryAdapter {
+  constructor({ directory }) {
+    super();
+    this.directory = directory;
+    this.writeQueues = new Map();
+    this.ready = this.load();
+  }
+
+  filePath(collection) {
+    return path.join(this.directory, `${collection}.jsonl`);
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const entries = await fs.promises.readdir(this.directory);
+
+    for (const entry of entries.filter(name => name.endsWith('.jsonl'))) {
+      const collection = path.basename(entry, '.jsonl');
+      const records = this.getCollection(collection);
+      const content = await fs.promises.readFile(this.filePath(collection), 'utf8');
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const { op, id, record } = JSON.parse(line);
+          if (op === 'del') {
+            records.delete(id);
+          } else {
+            records.set(id, record);
+          }
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line; skip it
+          console.warn(`⚠️ Skipping corrupt line in ${entry}: ${error.message}`);
+        }
+      }
+
+      await this.compact(collection);
+    }
+
+    console.log(`🗄️ Store loaded from ${this.directory} (${this.collections.size} collections)`);
+  }
+
+  async compact(collection) {
+    const lines = Array.from(this.getCollection(collection).entries())
+      .map(([id, record]) => JSON.stringify({ op: 'put', id, record }) + '\n')
+      .join('');
+    const tmpPath = `${this.filePath(collection)}.tmp`;
+    await fs.promises.writeFile(tmpPath, lines);
+    await fs.promises.rename(tmpPath, this.filePath(collection));
+  }
+
+  // Serialise appends per collection so lines never interleave
+  persist(collection, entry) {
+    const previous = this.writeQueues.get(collection) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(this.filePath(collection), JSON.stringify(entry) + '\n'));
+    this.writeQueues.set(collection, next);
+    return next;
+  }
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const adapters = {
+  memory: () => new MemoryAdapter(),
+  jsonl: (options) => new JsonLinesAdapter(options)
+};
+
+// Register a custom adapter (e.g. SQLite or Postgres) under a name usable in STORE_ADAPTER
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+const createStore = ({
+  adapter = config.store.adapter,
+  directory = config.store.directory
+} = {}) => {
+  const factory = adapters[adapter];
+  if (!factory) {
+    throw new Error(`Unknown store adapter: ${adapter}`);
+  }
+  return factory({ directory });
+};
+
+// Shared store used by the server, created on first use
+let defaultStore = null;
+const getStore = () => {
+  if (!defaultStore) {
+    defaultStore = createStore();
+  }
+  return defaultStore;
+};
+
+module.exports = {
+  MemoryAdapter,
+  JsonLinesAdapter,
+  registerAdapter,
+  createStore,
+  getStore
+};
@@ -0,0 +1,59 @@
+const { defaultFrom } = require('./mailer');
+const { renderEmail, getContent } = require('./emailTemplates');
+const { LINK_TTL_HOURS, createDownloadLink } = require('./documentVault');
+const { adminEmailSubject, adminEmailMessageId } = require('./documentUploads');
+const { config } = require('../config');
+
+// The two emails sent for every contact form submission (see templates/emails)
+// Submitted values only ever reach the HTML through the templates, which escape them.
+const formatReceivedAt = () => new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+const createAdminEmailTemplate = (data, files = [], clientId, paymentInfo = null, bundle = null) => {
+  const content = getContent();
+  const whatsappReply = content.admin.whatsappReply
+    .replace('{name}', () => data.name)
+    .replace('{service}', () => data.service);
+
+  return {
+    from: defaultFrom,
+    to: config.mail.adminEmail,
+    subject: adminEmailSubject(data.service, clientId),
+    // Emails about documents added later reply to this one (see services/documentUploads.js)
+    messageId: adminEmailMessageId(clientId),
+    ...renderEmail('admin-notification', {
+      data,
+      // Documents are linked rather than attached: they stay encrypted at rest and
+      // several 10MB uploads can't push the email over Gmail's 25MB limit
+      files: files.map(file => ({ ...file, download: createDownloadLink(clientId, file) })),
+      bundle: bundle && { ...bundle, download: createDownloadLink(clientId, bundle) },
+      linkTtlHours: LINK_TTL_HOURS,
+      clientId,
+      paymentInfo,
+      whatsappReply,
+      receivedAt: formatReceivedAt()
+    })
+  };
+};
+
+// `invoice` is the tax invoice record with its PDF `attachment` (see services/invoices.js)
+const createUserEmailTemplate = (data, files = [], clientId, paymentInfo = null, invoice = null) => {
+  return {
+    from: defaultFrom,
+    to: data.email,
+    subject: `✅ Thank you for contacting ${getContent().companyName} - Client ID: ${clientId}`,
+    ...renderEmail('user-confirmation', {
+      data,
+      files,
+      clientId,
+      paymentInfo,
+      invoice,
+      receivedAt: formatReceivedAt()
+    }),
+    ...(invoice ? { attachments: [invoice.attachment] } : {})
+  };
+};
+
+module.exports = {
+  createAdminEmailTemplate,
+  createUserEmailTemplate
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const submissions = require('./submissions');
+const outbox = require('./outbox');
+const { defaultFrom } = require('./mailer');
+const { renderEmail, getContent } = require('./emailTemplates');
+const { quoteForService, amountMatchesQuote } = require('./pricing');
+
+// Customer-facing progress of a submission
+// Staff move a case forward through STAGES; every change is kept in the submission's stageHistory
+// and the customer gets a status email. Customers look their case up with the client ID plus either
+// the email address they submitted with or a one-time code sent to that address.
+const STAGES = [
+  { stage: 'received', label: 'Submission received' },
+  { stage: 'payment_verified', label: 'Payment verified' },
+  { stage: 'under_review', label: 'Documents under review' },
+  { stage: 'itr_filed', label: 'ITR filed' }
+];
+
+const STATUS_CODES = 'status_codes';
+
+const STATUS_CODE_CONFIG = {
+  ttl: 10 * 60 * 1000, // codes expire after 10 minutes
+  maxAttempts: 5
+};
+
+class SubmissionStatusError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'SubmissionStatusError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const stageIndex = (stage) => STAGES.findIndex(item => item.stage === stage);
+
+const stageLabel = (stage) => STAGES[stageIndex(stage)]?.label || stage;
+
+// Submissions recorded before stages existed start from their payment state
+const currentStage = (submission) => submission.stage ||
+  (submission.paymentInfo?.verified ? 'payment_verified' : 'received');
+
+// The income tax e-filing acknowledgement number is 15 digits
+const normaliseAcknowledgementNumber = (value) => String(value || '').replace(/\s/g, '');
+
+const isAcknowledgementNumber = (value) => /^\d{15}$/.test(value);
+
+const stageHistoryOf = (submission) => submission.stageHistory || [
+  { stage: 'received', at: submission.createdAt, by: null, note: null },
+  ...(submission.paymentInfo?.verified ? [{ stage: 'payment_verified', at: submission.createdAt, by: null, note: null }] : [])
+];
+
+// What the customer sees: their stage, when each one was reached and the acknowledgement number.
+// A skipped stage (e.g. payment verified for a case handled without online payment) stays incomplete.
+const describeStatus = (submission) => {
+  const stage = currentStage(submission);
+  const history = stageHistoryOf(submission);
+  const reachedAt = (name) => history.find(entry => entry.stage === name)?.at || null;
+
+  return {
+    clientId: submission.clientId,
+    service: submission.formData.service,
+    stage,
+    label: stageLabel(stage),
+    cancelled: submission.status === 'CANCELLED',
+    acknowledgementNumber: submission.acknowledgementNumber || null,
+    stages: STAGES.map(item => ({
+      stage: item.stage,
+      label: item.label,
+      completed: reachedAt(item.stage) !== null,
+      at: reachedAt(item.stage)
+    })),
+    note: history[history.length - 1]?.note || null,
+    updatedAt: history[history.length - 1]?.at || submission.createdAt
+  };
+};
+
+const createStatusEmailTemplate = (submission) => {
+  const stage = currentStage(submission);
+  const content = getContent();
+  return {
+    from: defaultFrom,
+    to: submission.formData.email,
+    subject: `📋 ${stageLabel(stage)} - ${content.companyName} - Client ID: ${submission.clientId}`,
+    ...renderEmail('status-update', {
+      submission,
+      status: describeStatus(submission),
+      copy: content.status.stages[stage]
+    })
+  };
+};
+
+// Status emails go through the outbox like every other customer email
+const sendStatusEmail = async (submission) => {
+  await outbox.enqueue([{
+    clientId: submission.clientId,
+    kind: 'status',
+    message: createStatusEmailTemplate(submission),
+    meta: {
+      customerName: submission.formData.name,
+      customerEmail: submission.formData.email,
+      service: submission.formData.service,
+      stage: submission.stage
+    }
+  }]);
+  console.log(`📮 Status email (${submission.stage}) queued for ${submission.formData.email} - Client ID: ${submission.clientId}`);
+};
+
+// Move a submission forward to `stage`. Stages can be skipped but never go back.
+// `operator` is null for automatic changes such as a payment confirmed by webhook.
+const advanceStage = async ({ clientId, stage, operator = null, acknowledgementNumber = null, note = null }) => {
+  if (stageIndex(stage) === -1) {
+    throw new SubmissionStatusError(`Stage must be one of: ${STAGES.map(item => item.stage).join(', ')}`, 'INVALID_STAGE');
+  }
+
+  const submission = await submissions.getSubmission(clientId);
+  if (!submission) {
+    throw new SubmissionStatusError(`No submission found for Client ID: ${clientId}`, 'SUBMISSION_NOT_FOUND', 404);
+  }
+  if (submission.status === 'CANCELLED') {
+    throw new SubmissionStatusError(`Client ID ${clientId} has been cancelled`, 'SUBMISSION_CANCELLED', 409);
+  }
+
+  const ackNumber = normaliseAcknowledgementNumber(acknowledgementNumber);
+  if (stage === 'itr_filed' && !isAcknowledgementNumber(ackNumber)) {
+    throw new SubmissionStatusError('A 15-digit acknowledgement number is required to mark the ITR as filed', 'ACKNOWLEDGEMENT_REQUIRED');
+  }
+
+  let moved = false;
+  const updated = await submissions.updateSubmission(clientId, (current) => {
+    // Checked against the stored record so two staff members can't both move the case
+    if (stageIndex(stage) <= stageIndex(currentStage(current))) return {};
+    moved = true;
+    return {
+      stage,
+      stageHistory: [...stageHistoryOf(current), { stage, at: new Date().toISOString(), by: operator, note: note || null }],
+      ...(stage === 'itr_filed' ? { acknowledgementNumber: ackNumber } : {})
+    };
+  });
+  if (!moved) {
+    throw new SubmissionStatusError(
+      `Client ID ${clientId} is already at "${stageLabel(currentStage(updated))}"`,
+      'STAGE_NOT_ALLOWED',
+      409
+    );
+  }
+
+  console.log(`📋 Client ID ${clientId} moved to ${stage}${operator ? ` by ${operator}` : ''}`);
+  await sendStatusEmail(updated);
+  return updated;
+};
+
+// The paid amount is held to the same price check as a payment verified at submission
+const paidAmountMatches = (submission, order) => {
+  try {
+    return amountMatchesQuote(order.paymentAmount, order.quote || quoteForService(submission.formData.service));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Called when a payment webhook confirms the order of a submission that was not yet verified.
+// A submission accepted while Cashfree was unreachable has UNVERIFIED paymentInfo; it is
+// replaced with the confirmed payment before the stage moves on.
+const markPaymentVerified = async (clientId, order) => {
+  let submission = await submissions.getSubmission(clientId);
+  if (!submission || submission.status === 'CANCELLED') {
+    return null;
+  }
+
+  if (submission.paymentInfo && !submission.paymentInfo.verified && submission.paymentInfo.orderId === order.orderId) {
+    if (!paidAmountMatches(submission, order)) {
+      console.warn(`🚫 Webhook payment ₹${order.paymentAmount} for order ${order.orderId} does not match the price - Client ID ${clientId} stays unverified`);
+      return null;
+    }
+    submission = await submissions.updateSubmission(clientId, (current) => (current.paymentInfo?.verified ? {} : {
+      paymentInfo: {
+        ...current.paymentInfo,
+        paymentId: order.paymentId || current.paymentInfo.paymentId,
+        amount: order.paymentAmount,
+        transactionId: order.paymentId || current.paymentInfo.transactionId,
+        orderStatus: 'PAID',
+        verified: true,
+        verificationSource: 'webhook',
+        verificationError: null
+      }
+    }));
+    console.log(`💳 Payment for order ${order.orderId} confirmed by webhook - Client ID: ${clientId}`);
+  }
+
+  if (!submission.paymentInfo?.verified || currentStage(submission) !== 'received') {
+    return null;
+  }
+  try {
+    return await advanceStage({ clientId, stage: 'payment_verified' });
+  } catch (error) {
+    if (error instanceof SubmissionStatusError) return null;
+    throw error;
+  }
+};
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest();
+
+const sameValue = (a, b) => crypto.timingSafeEqual(hashValue(a), hashValue(b));
+
+// The submission for a client ID if `email` is the address it was made with, otherwise null
+const findByEmail = async (clientId, email) => {
+  const submission = await submissions.getSubmission(clientId);
+  if (!submission || !sameValue(submission.formData.email.toLowerCase(), String(email || '').toLowerCase())) {
+    return null;
+  }
+  return submission;
+};
+
+const createStatusCodeEmailTemplate = (submission, code) => ({
+  from: defaultFrom,
+  to: submission.formData.email,
+  subject: `🔐 Your status code - ${getContent().companyName} - Client ID: ${submission.clientId}`,
+  ...renderEmail('status-code', {
+    submission,
+    code,
+    expiresInMinutes: STATUS_CODE_CONFIG.ttl / 60000
+  })
+});
+
+// Email a one-time code to the address on the submission. Returns false when there is no such
+// submission; callers should not tell the client, so client IDs can't be probed.
+const sendStatusCode = async (clientId) => {
+  const submission = await submissions.getSubmission(clientId);
+  if (!submission) return false;
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  await getStore().put(STATUS_CODES, clientId, {
+    clientId,
+    codeHash: hashValue(`${clientId}:${code}`).toString('hex'),
+    attempts: 0,
+    expiresAt: new Date(Date.now() + STATUS_CODE_CONFIG.ttl).toISOString(),
+    createdAt: new Date().toISOString()
+  });
+
+  // Not linked to the client ID in the outbox, so a failed code email doesn't flag the submission
+  const jobs = await outbox.enqueue([{
+    kind: 'status-code',
+    message: createStatusCodeEmailTemplate(submission, code),
+    meta: { clientId, customerEmail: submission.formData.email }
+  }]);
+  await outbox.deliverJobs(jobs);
+  console.log(`🔐 Status code sent for Client ID: ${clientId}`);
+  return true;
+};
+
+// The submission for a client ID if `code` is its current one-time code; a code works once
+const findByCode = async (clientId, code) => {
+  const record = await getStore().get(STATUS_CODES, clientId);
+  if (!record || record.expiresAt <= new Date().toISOString() || record.attempts >= STATUS_CODE_CONFIG.maxAttempts) {
+    return null;
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  if (!crypto.timingSafeEqual(expected, hashValue(`${clientId}:${code}`))) {
+    await getStore().update(STATUS_CODES, clientId, { attempts: record.attempts + 1 });
+    return null;
+  }
+
+  await getStore().remove(STATUS_CODES, clientId);
+  return submissions.getSubmission(clientId);
+};
+
+module.exports = {
+  STAGES,
+  SubmissionStatusError,
+  currentStage,
+  describeStatus,
+  advanceStage,
+  markPaymentVerified,
+  findByEmail,
+  sendStatusCode,
+  findByCode
+};
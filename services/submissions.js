@@ -0,0 +1,84 @@
+const { getStore } = require('./store');
+
+// Persistent records for contact form submissions and their Cashfree orders
+const SUBMISSIONS = 'submissions';
+const ORDERS = 'orders';
+
+// Keep only what is needed to find and decrypt an uploaded file (see services/documentVault.js)
+const toDocumentMetadata = (file) => ({
+  documentId: file.documentId,
+  fieldname: file.fieldname,
+  originalname: file.originalname,
+  filename: file.filename,
+  mimetype: file.mimetype,
+  size: file.size,
+  storage: file.storage,
+  storageKey: file.storageKey,
+  encryption: file.encryption
+});
+
+const recordSubmission = async ({ clientId, formData, files = [], paymentInfo = null }) => {
+  const now = new Date().toISOString();
+  // Customer-facing progress (see services/submissionStatus.js); a verified payment skips ahead
+  const stageHistory = [
+    { stage: 'received', at: now, by: null, note: null },
+    ...(paymentInfo?.verified ? [{ stage: 'payment_verified', at: now, by: null, note: null }] : [])
+  ];
+  return getStore().put(SUBMISSIONS, clientId, {
+    clientId,
+    formData,
+    documents: files.map(toDocumentMetadata),
+    orderId: paymentInfo?.orderId || null,
+    paymentInfo,
+    stage: stageHistory[stageHistory.length - 1].stage,
+    stageHistory,
+    // Summary of the submission's outbox jobs, kept up to date by the outbox worker
+    email: {
+      status: 'pending',
+      retryCount: 0,
+      attempts: []
+    },
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+const getSubmission = (clientId) => getStore().get(SUBMISSIONS, clientId);
+
+const updateSubmission = (clientId, patch) => getStore().update(SUBMISSIONS, clientId, (submission) => ({
+  ...(typeof patch === 'function' ? patch(submission) : patch),
+  updatedAt: new Date().toISOString()
+}));
+
+const listSubmissions = (predicate = null) => getStore().list(SUBMISSIONS, predicate);
+
+const recordOrder = (order) => {
+  const now = new Date().toISOString();
+  return getStore().put(ORDERS, order.orderId, {
+    ...order,
+    clientId: order.clientId || null,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+const getOrder = (orderId) => getStore().get(ORDERS, orderId);
+
+const updateOrder = (orderId, patch) => getStore().update(ORDERS, orderId, (order) => ({
+  ...(typeof patch === 'function' ? patch(order) : patch),
+  updatedAt: new Date().toISOString()
+}));
+
+const listOrders = (predicate = null) => getStore().list(ORDERS, predicate);
+
+module.exports = {
+  toDocumentMetadata,
+  recordSubmission,
+  getSubmission,
+  updateSubmission,
+  listSubmissions,
+  recordOrder,
+  getOrder,
+  updateOrder,
+  listOrders
+};
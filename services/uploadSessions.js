@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { documentTypeFor } = require('./documentRequirements');
+const { config } = require('../config');
+
+// Resumable chunked uploads
+// A client opens a session, declares each file (fieldname, name, type, size and optionally its SHA-256)
+// and sends it in chunks at increasing offsets, each with the chunk's SHA-256. After a dropped connection
+// it reads the session back and carries on from the stored offset. Once every file is complete the
+// session ID is sent to /api/contact as `uploadSessionId` instead of (or as well as) multipart files.
+// Sessions that get no chunk for UPLOAD_SESSION_TTL_HOURS are removed by the retention sweeper.
+const UPLOAD_SESSIONS = 'upload_sessions';
+const SESSION_CONFIG = config.uploads.sessions;
+
+// The same per-request caps as multipart uploads (see middleware/uploadLimits.js)
+const LIMITS = {
+  maxFileSize: config.uploads.maxFileSize,
+  maxFiles: config.uploads.maxFiles,
+  maxTotalSize: config.uploads.maxTotalSize
+};
+
+class UploadSessionError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const toMB = (bytes) => Math.round(bytes / 1024 / 1024);
+
+const sessionDirectory = (sessionId) => path.join(SESSION_CONFIG.directory, sessionId);
+
+const partPath = (sessionId, fileId) => path.join(sessionDirectory(sessionId), fileId);
+
+const nextExpiry = () => new Date(Date.now() + SESSION_CONFIG.ttl).toISOString();
+
+const isExpired = (session, now = Date.now()) => new Date(session.expiresAt).getTime() <= now;
+
+const describeFile = (file) => ({
+  fileId: file.id,
+  fieldname: file.fieldname,
+  filename: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size,
+  offset: file.offset,
+  complete: file.complete
+});
+
+// What the client needs to resume: every file's offset
+const describeSession = (session) => ({
+  sessionId: session.id,
+  chunkSize: SESSION_CONFIG.chunkSize,
+  expiresAt: session.expiresAt,
+  complete: session.files.length > 0 && session.files.every(file => file.complete),
+  files: session.files.map(describeFile)
+});
+
+const notFound = () => new UploadSessionError(
+  'This upload session has expired or was already used. Please upload your documents again.',
+  'UPLOAD_SESSION_NOT_FOUND',
+  404
+);
+
+const checkOpen = (session) => {
+  if (!session || session.status !== 'open' || isExpired(session)) {
+    throw notFound();
+  }
+  return session;
+};
+
+const getOpenSession = async (sessionId) => {
+  if (!/^[a-f0-9]{32}$/.test(String(sessionId || ''))) throw notFound();
+  return checkOpen(await getStore().get(UPLOAD_SESSIONS, sessionId));
+};
+
+const createSession = async () => {
+  const id = crypto.randomBytes(16).toString('hex');
+  await fs.promises.mkdir(sessionDirectory(id), { recursive: true });
+
+  const now = new Date().toISOString();
+  const session = await getStore().put(UPLOAD_SESSIONS, id, {
+    status: 'open',
+    files: [],
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: nextExpiry()
+  });
+  console.log(`📤 Upload session ${id} opened`);
+  return session;
+};
+
+// Declare a file before sending its chunks (the fields are checked by uploadFileSchema first)
+const addFile = async (sessionId, { fieldname, filename, mimetype, size, sha256 = null }) => {
+  await getOpenSession(sessionId);
+  if (!documentTypeFor(fieldname)) {
+    throw new UploadSessionError(`${fieldname} is not a known document type`, 'UNKNOWN_DOCUMENT');
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    throw new UploadSessionError('Size must be a whole number of bytes', 'INVALID_SIZE');
+  }
+  if (size > LIMITS.maxFileSize) {
+    throw new UploadSessionError(`Each file must be ${toMB(LIMITS.maxFileSize)}MB or smaller`, 'FILE_TOO_LARGE', 413);
+  }
+
+  const file = {
+    id: crypto.randomBytes(8).toString('hex'),
+    fieldname,
+    originalname: path.basename(filename),
+    mimetype,
+    size,
+    sha256,
+    offset: 0,
+    complete: false
+  };
+  await fs.promises.writeFile(partPath(sessionId, file.id), '');
+
+  // Checked against the stored session so parallel requests can't go over the caps together
+  const updated = await getStore().update(UPLOAD_SESSIONS, sessionId, (current) => {
+    checkOpen(current);
+    if (current.files.length >= LIMITS.maxFiles) {
+      throw new UploadSessionError(`Please upload at most ${LIMITS.maxFiles} files`, 'TOO_MANY_FILES', 413);
+    }
+    if (current.files.reduce((sum, item) => sum + item.size, size) > LIMITS.maxTotalSize) {
+      throw new UploadSessionError(`Uploads must total ${toMB(LIMITS.maxTotalSize)}MB or less`, 'UPLOAD_TOO_LARGE', 413);
+    }
+    return { files: [...current.files, file], updatedAt: new Date().toISOString(), expiresAt: nextExpiry() };
+  }).catch(async (error) => {
+    await fs.promises.rm(partPath(sessionId, file.id), { force: true });
+    throw error;
+  });
+  return describeSession(updated).files.find(item => item.fileId === file.id);
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Chunks being written, so two requests for the same file can't interleave
+const writing = new Set();
+
+// Append `data` at `offset`. `checksum` is the chunk's SHA-256 in hex; a chunk that doesn't match
+// is dropped and can simply be sent again. The last chunk also checks the whole file's SHA-256
+// when one was declared.
+const appendChunk = async (sessionId, fileId, { offset, checksum, data }) => {
+  const session = await getOpenSession(sessionId);
+  const file = session.files.find(item => item.id === fileId);
+  if (!file) {
+    throw new UploadSessionError('File not found in this upload session', 'UPLOAD_FILE_NOT_FOUND', 404);
+  }
+  if (file.complete) {
+    throw new UploadSessionError('This file has already been uploaded', 'UPLOAD_ALREADY_COMPLETE', 409, { offset: file.offset });
+  }
+  if (offset !== file.offset) {
+    throw new UploadSessionError(`Expected the chunk at offset ${file.offset}`, 'OFFSET_MISMATCH', 409, { offset: file.offset });
+  }
+  if (data.length === 0 || data.length > SESSION_CONFIG.chunkSize || offset + data.length > file.size) {
+    throw new UploadSessionError(
+      `Chunks must be 1 to ${SESSION_CONFIG.chunkSize} bytes and end within the declared file size`,
+      'INVALID_CHUNK',
+      400,
+      { offset: file.offset }
+    );
+  }
+  if (crypto.createHash('sha256').update(data).digest('hex') !== String(checksum || '').toLowerCase()) {
+    throw new UploadSessionError('Chunk checksum does not match - please send it again', 'CHECKSUM_MISMATCH', 400, { offset: file.offset });
+  }
+
+  const key = `${sessionId}/${fileId}`;
+  if (writing.has(key)) {
+    throw new UploadSessionError('Another chunk for this file is still being written', 'UPLOAD_BUSY', 409, { offset: file.offset });
+  }
+  writing.add(key);
+
+  try {
+    // Drop anything past the stored offset, e.g. from a write whose session update never happened
+    const target = partPath(sessionId, fileId);
+    await fs.promises.truncate(target, offset);
+    await fs.promises.appendFile(target, data);
+
+    const nextOffset = offset + data.length;
+    const complete = nextOffset === file.size;
+    if (complete && file.sha256 && (await hashFile(target)) !== file.sha256) {
+      await fs.promises.truncate(target, 0);
+      await updateFile(sessionId, fileId, { offset: 0 });
+      throw new UploadSessionError('The uploaded file does not match its checksum - please upload it again', 'FILE_CHECKSUM_MISMATCH', 400, { offset: 0 });
+    }
+
+    await updateFile(sessionId, fileId, { offset: nextOffset, complete });
+    return { fileId, offset: nextOffset, complete };
+  } finally {
+    writing.delete(key);
+  }
+};
+
+const updateFile = (sessionId, fileId, changes) => getStore().update(UPLOAD_SESSIONS, sessionId, (current) => ({
+  files: current.files.map(item => (item.id === fileId ? { ...item, ...changes } : item)),
+  updatedAt: new Date().toISOString(),
+  expiresAt: nextExpiry()
+}));
+
+const removeSession = async (session) => {
+  await fs.promises.rm(sessionDirectory(session.id), { recursive: true, force: true });
+  await getStore().remove(UPLOAD_SESSIONS, session.id);
+};
+
+// Abandon a session and delete its chunks
+const deleteSession = async (sessionId) => {
+  const session = await getOpenSession(sessionId);
+  await removeSession(session);
+  console.log(`🗑️ Upload session ${sessionId} deleted`);
+};
+
+// Use a completed session: its files are copied into `directory` and returned in the same shape as
+// multer's, so they go through the usual content checks. `alongside` are files from the same request
+// that count towards the upload caps. The session is locked until finishSession() removes it, or
+// releaseSession() reopens it so a failed submission can be sent again without uploading again.
+const claimSession = async (sessionId, { directory, alongside = [] }) => {
+  await getOpenSession(sessionId);
+  const session = await getStore().update(UPLOAD_SESSIONS, sessionId, (current) => {
+    checkOpen(current);
+    if (current.files.length === 0 || current.files.some(file => !file.complete)) {
+      throw new UploadSessionError(
+        'Some documents have not finished uploading yet',
+        'UPLOAD_INCOMPLETE',
+        409,
+        { files: current.files.filter(file => !file.complete).map(describeFile) }
+      );
+    }
+    const all = [...alongside, ...current.files];
+    if (all.length > LIMITS.maxFiles) {
+      throw new UploadSessionError(`Please upload at most ${LIMITS.maxFiles} files`, 'TOO_MANY_FILES', 413);
+    }
+    if (all.reduce((sum, file) => sum + file.size, 0) > LIMITS.maxTotalSize) {
+      throw new UploadSessionError(`Uploads must total ${toMB(LIMITS.maxTotalSize)}MB or less`, 'UPLOAD_TOO_LARGE', 413);
+    }
+    return { status: 'claimed', updatedAt: new Date().toISOString() };
+  });
+
+  const files = [];
+  for (const file of session.files) {
+    const filename = `${file.fieldname}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    const filePath = path.join(directory, filename);
+    await fs.promises.copyFile(partPath(sessionId, file.id), filePath);
+    files.push({
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      encoding: '7bit',
+      mimetype: file.mimetype,
+      destination: directory,
+      filename,
+      path: filePath,
+      size: file.size
+    });
+  }
+  return files;
+};
+
+const finishSession = async (sessionId) => {
+  const session = await getStore().get(UPLOAD_SESSIONS, sessionId);
+  if (!session) return;
+  await removeSession(session);
+  console.log(`📤 Upload session ${sessionId} used for ${session.files.length} files`);
+};
+
+const releaseSession = (sessionId) => getStore().update(UPLOAD_SESSIONS, sessionId, {
+  status: 'open',
+  updatedAt: new Date().toISOString(),
+  expiresAt: nextExpiry()
+});
+
+// Sessions that got no chunk before their expiry (used by the retention sweeper)
+const listExpiredSessions = (now = Date.now()) => getStore().list(UPLOAD_SESSIONS, session => isExpired(session, now));
+
+module.exports = {
+  SESSION_CONFIG,
+  UploadSessionError,
+  describeSession,
+  getOpenSession,
+  createSession,
+  addFile,
+  appendChunk,
+  deleteSession,
+  claimSession,
+  finishSession,
+  releaseSession,
+  listExpiredSessions,
+  removeSession,
+  sessionDirectory
+};
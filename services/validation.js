@@ -0,0 +1,159 @@
+const { isValidClientId } = require('./identifiers');
+
+// Declarative request validation
+// A schema maps each field to its rules; validate() returns the normalised values and a list of
+// per-field errors ({ field, code, message }) that the frontend can show next to each input.
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super('Please correct the highlighted fields');
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+// Formats normalise the raw value before testing it, so " abcde1234f " is accepted as "ABCDE1234F"
+const FORMATS = {
+  email: {
+    normalize: value => value.toLowerCase(),
+    test: value => value.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+    message: label => `${label} must be a valid email address`
+  },
+  indianMobile: {
+    normalize: value => value.replace(/[\s-]/g, '').replace(/^(\+91|91|0)(?=\d{10}$)/, ''),
+    test: value => /^[6-9]\d{9}$/.test(value),
+    message: label => `${label} must be a 10-digit Indian mobile number`
+  },
+  ifsc: {
+    normalize: value => value.toUpperCase(),
+    test: value => /^[A-Z]{4}0[A-Z0-9]{6}$/.test(value),
+    message: label => `${label} must be an 11-character IFSC code (e.g. SBIN0001234)`
+  },
+  bankAccount: {
+    normalize: value => value.replace(/\s/g, ''),
+    test: value => /^\d{9,18}$/.test(value),
+    message: label => `${label} must be 9 to 18 digits`
+  },
+  pan: {
+    normalize: value => value.toUpperCase(),
+    test: value => /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(value),
+    message: label => `${label} must be a valid PAN (e.g. ABCDE1234F)`
+  },
+  gstin: {
+    normalize: value => value.replace(/\s/g, '').toUpperCase(),
+    test: value => /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value),
+    message: label => `${label} must be a valid 15-character GSTIN (e.g. 27ABCDE1234F1Z5)`
+  },
+  reference: {
+    test: value => /^[A-Za-z0-9_-]+$/.test(value),
+    message: label => `${label} may only contain letters, numbers, hyphens and underscores`
+  },
+  couponCode: {
+    normalize: value => value.toUpperCase(),
+    test: value => /^[A-Z0-9_-]+$/.test(value),
+    message: label => `${label} may only contain letters and numbers`
+  },
+  clientId: {
+    normalize: value => value.replace(/\s/g, '').toUpperCase(),
+    test: value => isValidClientId(value),
+    message: label => `${label} doesn't look right - please check it against your confirmation email`
+  },
+  statusCode: {
+    normalize: value => value.replace(/\s/g, ''),
+    test: value => /^\d{6}$/.test(value),
+    message: label => `${label} must be the 6-digit code from your email`
+  },
+  sha256: {
+    normalize: value => value.toLowerCase(),
+    test: value => /^[0-9a-f]{64}$/.test(value),
+    message: label => `${label} must be a SHA-256 hash in hex`
+  },
+  acknowledgementNumber: {
+    normalize: value => value.replace(/\s/g, ''),
+    test: value => /^\d{15}$/.test(value),
+    message: label => `${label} must be the 15-digit e-filing acknowledgement number`
+  }
+};
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Check one field against its rules; returns { value } or { error }
+const checkField = (rules, raw, label) => {
+  if (rules.type === 'number') {
+    const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isFinite(number)) {
+      return { error: { code: 'INVALID_NUMBER', message: `${label} must be a number` } };
+    }
+    if (rules.min !== undefined && number < rules.min) {
+      return { error: { code: 'TOO_SMALL', message: `${label} must be at least ${rules.min}` } };
+    }
+    return { value: number };
+  }
+
+  if (typeof raw !== 'string') {
+    return { error: { code: 'INVALID_TYPE', message: `${label} must be text` } };
+  }
+
+  let value = raw.trim();
+  const format = rules.format && FORMATS[rules.format];
+  if (format?.normalize) {
+    value = format.normalize(value);
+  }
+
+  if (rules.minLength && value.length < rules.minLength) {
+    return { error: { code: 'TOO_SHORT', message: `${label} must be at least ${rules.minLength} characters` } };
+  }
+  if (rules.maxLength && value.length > rules.maxLength) {
+    return { error: { code: 'TOO_LONG', message: `${label} must be at most ${rules.maxLength} characters` } };
+  }
+  if (format && !format.test(value)) {
+    return { error: { code: 'INVALID_FORMAT', message: format.message(label) } };
+  }
+  if (rules.oneOf) {
+    const allowed = typeof rules.oneOf === 'function' ? rules.oneOf() : rules.oneOf;
+    if (!allowed.includes(value)) {
+      return { error: { code: 'NOT_ALLOWED', message: `${label} must be one of: ${allowed.join(', ')}` } };
+    }
+  }
+  return { value };
+};
+
+// Validate `input` against `schema`. Fields not in the schema are passed through untouched.
+//   { label, required, requiredWith: [fields], type: 'string' | 'number', format, minLength, maxLength, min, oneOf }
+const validate = (schema, input = {}) => {
+  const value = { ...input };
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const label = rules.label || field;
+    const raw = input[field];
+
+    if (isBlank(raw)) {
+      const required = rules.required ||
+        (rules.requiredWith || []).some(other => !isBlank(input[other]));
+      if (required) {
+        errors.push({ field, code: 'REQUIRED', message: `${label} is required` });
+      } else {
+        delete value[field];
+      }
+      continue;
+    }
+
+    const result = checkField(rules, raw, label);
+    if (result.error) {
+      errors.push({ field, ...result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  ValidationError,
+  FORMATS,
+  validate
+};
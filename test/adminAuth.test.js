@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Settings adminAuth needs, set before config.js reads the environment
+process.env.STORE_ADAPTER = 'memory';
+
+const { signAdminToken, verifyAdminToken } = require('../middleware/adminAuth');
+
+const SECRET = 'test-secret-that-is-long-enough-for-hs256';
+
+// Sign arbitrary claims the way a holder of the secret could, bypassing signAdminToken's defaults
+const signClaims = (claims, secret = SECRET) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('a token from signAdminToken is accepted', () => {
+  const token = signAdminToken({ sub: 'ops', role: 'operator' }, SECRET);
+  assert.equal(verifyAdminToken(token, SECRET).sub, 'ops');
+});
+
+test('a correctly signed token without exp is rejected', () => {
+  assert.equal(verifyAdminToken(signClaims({ sub: 'ops', role: 'operator', iat: now() }), SECRET), null);
+});
+
+test('a token whose exp is not a number is rejected', () => {
+  const future = String(now() + 3600);
+  assert.equal(verifyAdminToken(signClaims({ sub: 'ops', role: 'operator', exp: future }), SECRET), null);
+  assert.equal(verifyAdminToken(signClaims({ sub: 'ops', role: 'operator', exp: null }), SECRET), null);
+});
+
+test('an expired token is rejected', () => {
+  assert.equal(verifyAdminToken(signClaims({ sub: 'ops', role: 'operator', exp: now() - 1 }), SECRET), null);
+});
+
+test('a token signed with another secret is rejected', () => {
+  const token = signClaims({ sub: 'ops', role: 'operator', exp: now() + 3600 }, 'another-secret');
+  assert.equal(verifyAdminToken(token, SECRET), null);
+});
+
+test('signAdminToken refuses a lifetime that would drop exp', () => {
+  assert.throws(() => signAdminToken({ sub: 'ops', role: 'operator', expiresInSeconds: NaN }, SECRET));
+  assert.throws(() => signAdminToken({ sub: 'ops', role: 'operator', expiresInSeconds: 0 }, SECRET));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Settings the templates need, set before config.js reads the environment
+process.env.MAIL_TRANSPORT = 'stream';
+process.env.EMAIL_USER = 'hello@taxandtaxes.com';
+process.env.ADMIN_EMAIL = 'admin@taxandtaxes.com';
+process.env.DOCUMENT_MASTER_KEY = '00'.repeat(32);
+process.env.STORE_ADAPTER = 'memory';
+
+const { createAdminEmailTemplate, createUserEmailTemplate } = require('../services/submissionEmails');
+
+// Submitted values an attacker controls, each trying a different way out of the HTML
+const SCRIPT = '<script>alert(1)</script>';
+const ATTRIBUTE_BREAKOUT = '"><img src=x onerror=alert(1)>';
+const SINGLE_QUOTE_BREAKOUT = "' onmouseover='alert(1)";
+const JAVASCRIPT_URL = 'javascript:alert(1)';
+
+const hostileSubmission = {
+  name: SCRIPT,
+  email: `${JAVASCRIPT_URL}//"@evil.example`,
+  phone: JAVASCRIPT_URL,
+  service: `Salaried Tax ProAssist${ATTRIBUTE_BREAKOUT}`,
+  message: `${ATTRIBUTE_BREAKOUT}${SCRIPT}`,
+  panNumber: SINGLE_QUOTE_BREAKOUT,
+  bankAccountNumber: ATTRIBUTE_BREAKOUT,
+  bankName: SCRIPT,
+  ifscCode: SINGLE_QUOTE_BREAKOUT,
+  accountHolderName: `<a href="${JAVASCRIPT_URL}">click</a>`
+};
+
+const hostileFiles = [{
+  documentId: 'a1b2c3d4',
+  fieldname: 'aadharCard',
+  originalname: `${ATTRIBUTE_BREAKOUT}.pdf`,
+  mimetype: 'application/pdf',
+  size: 1024
+}];
+
+const hostilePayment = {
+  paymentId: SCRIPT,
+  orderId: ATTRIBUTE_BREAKOUT,
+  transactionId: SINGLE_QUOTE_BREAKOUT,
+  amount: SCRIPT,
+  orderStatus: 'PAID',
+  verified: true
+};
+
+const CLIENT_ID = 'TT2648217305964';
+
+// Raw attribute values, still HTML-escaped the way Handlebars wrote them
+const hrefs = (html) => [...html.matchAll(/href="([^"]*)"/g)].map(match => match[1]);
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&#x60;': '`', '&#x3D;': '=' };
+
+// What the mail client follows after decoding the attribute
+const decodeEntities = (value) => value.replace(/&(amp|lt|gt|quot|#x27|#x60|#x3D);/g, entity => ENTITIES[entity]);
+
+const assertEscaped = (html) => {
+  assert.ok(!html.includes('<script'), 'no script tag');
+  assert.ok(!html.includes('<img'), 'no injected img tag');
+  assert.ok(!/\son(error|mouseover)=/i.test(html), 'no injected event handler attribute');
+  assert.ok(!html.includes(`href="${JAVASCRIPT_URL}`), 'no injected javascript: link');
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'), 'the script payload is shown as text');
+};
+
+// Every link must keep its scheme and carry submitted values only in encoded form
+const assertLinksEncoded = (html) => {
+  const links = hrefs(html);
+  assert.ok(links.length > 0);
+  for (const link of links) {
+    assert.match(decodeEntities(link), /^(https?:|mailto:|tel:)/, `unexpected link scheme: ${link}`);
+    assert.ok(!/[\s<>"'`]/.test(link), `unescaped character in link: ${link}`);
+    assert.ok(!/[\s<>"]/.test(decodeEntities(link)), `unencoded character in link: ${link}`);
+  }
+};
+
+test('admin notification escapes submitted values', () => {
+  const { html } = createAdminEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+
+  assertEscaped(html);
+  assert.ok(html.includes('&quot;&gt;&lt;img src&#x3D;x onerror&#x3D;alert(1)&gt;'), 'the attribute breakout is shown as text');
+  assert.ok(html.includes('&#x27; onmouseover&#x3D;&#x27;alert(1)'), 'the single-quote breakout is shown as text');
+});
+
+test('admin notification encodes every link', () => {
+  const { html } = createAdminEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+  assertLinksEncoded(html);
+
+  const tel = hrefs(html).find(link => link.startsWith('tel:'));
+  assert.equal(tel, 'tel:1');
+
+  const mailto = hrefs(html).find(link => link.startsWith('mailto:javascript'));
+  assert.ok(mailto, 'the customer email is a mailto: link');
+  assert.ok(mailto.startsWith('mailto:javascript%3Aalert(1)%2F%2F%22@evil.example'));
+});
+
+test('admin notification WhatsApp reply carries the submitted values URL-encoded', () => {
+  const { html } = createAdminEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+  const whatsapp = hrefs(html)
+    .map(decodeEntities)
+    .find(link => link.startsWith('https://wa.me/') && link.includes('?text='));
+
+  assert.ok(whatsapp, 'the WhatsApp reply link is present');
+  const text = new URL(whatsapp).searchParams.get('text');
+  assert.ok(text.includes(SCRIPT), 'the reply text decodes back to the submitted name');
+  assert.ok(!whatsapp.includes('<'), 'the name is percent-encoded in the link');
+});
+
+test('user confirmation escapes submitted values', () => {
+  const { html } = createUserEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+
+  assertEscaped(html);
+  assert.ok(html.includes('&quot;&gt;&lt;img src&#x3D;x onerror&#x3D;alert(1)&gt;'));
+});
+
+test('user confirmation encodes every link', () => {
+  const { html } = createUserEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+  assertLinksEncoded(html);
+});
+
+test('subjects and plain-text parts keep the submitted values as text', () => {
+  const admin = createAdminEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+  const user = createUserEmailTemplate(hostileSubmission, hostileFiles, CLIENT_ID, hostilePayment);
+
+  assert.ok(admin.subject.includes(CLIENT_ID));
+  assert.ok(user.subject.includes(CLIENT_ID));
+  assert.ok(admin.text.includes(SCRIPT), 'the text part shows the name verbatim, not as markup');
+});
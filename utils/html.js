@@ -0,0 +1,36 @@
+// HTML helpers for server-rendered pages
+
+// Escape a value for use in HTML text or a quoted attribute
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Parse a Cookie header into a plain object
+// A value that isn't valid percent-encoding (e.g. a stray "%") is skipped rather than thrown,
+// so one bad cookie from another site on the domain can't break the page
+const parseCookies = (header = '') => header
+  .split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index)] = decodeURIComponent(part.slice(index + 1));
+      } catch (error) {
+        // Malformed value - leave this cookie out
+      }
+    }
+    return cookies;
+  }, {});
+
+module.exports = {
+  escapeHtml,
+  parseCookies
+};
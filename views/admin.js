@@ -0,0 +1,376 @@
+const { escapeHtml } = require('../utils/html');
+
+// Server-rendered pages for the /admin dashboard
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
+  : '-';
+
+const formatSize = (bytes) => `${((bytes || 0) / 1024 / 1024).toFixed(2)} MB`;
+
+// Colour-coded pill for payment and email states
+const STATUS_COLOURS = {
+  PAID: ['#dcfce7', '#166534'],
+  sent: ['#dcfce7', '#166534'],
+  UNPAID: ['#f1f5f9', '#475569'],
+  pending: ['#f1f5f9', '#475569'],
+  UNVERIFIED: ['#fef3c7', '#92400e'],
+  retrying: ['#fef3c7', '#92400e'],
+  PARTIALLY_REFUNDED: ['#e0e7ff', '#3730a3'],
+  REFUNDED: ['#e0e7ff', '#3730a3'],
+  FAILED: ['#fee2e2', '#991b1b'],
+  failed: ['#fee2e2', '#991b1b'],
+  dead: ['#fee2e2', '#991b1b'],
+  USER_DROPPED: ['#fee2e2', '#991b1b']
+};
+
+const statusBadge = (status) => {
+  const [background, colour] = STATUS_COLOURS[status] || ['#f1f5f9', '#475569'];
+  return `<span class="badge" style="background: ${background}; color: ${colour};">${escapeHtml(status || '-')}</span>`;
+};
+
+const layout = ({ title, admin = null, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(title)} - Tax And Taxes Admin</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; background: #f8fafc; color: #1e293b; }
+    header { background: linear-gradient(135deg, #10b981, #059669); color: white; padding: 16px 24px; display: flex; justify-content: space-between; align-items: center; }
+    header a { color: white; text-decoration: none; font-weight: 600; }
+    main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+    .card { background: white; padding: 24px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 10px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; font-size: 14px; }
+    th { color: #64748b; font-weight: 600; }
+    .badge { padding: 4px 10px; border-radius: 20px; font-size: 12px; font-weight: 600; white-space: nowrap; }
+    .mono { font-family: 'Courier New', monospace; font-weight: 600; }
+    .muted { color: #64748b; font-size: 13px; }
+    .filters { display: flex; gap: 10px; flex-wrap: wrap; align-items: center; }
+    input, select { padding: 8px 10px; border: 1px solid #cbd5e1; border-radius: 8px; font-size: 14px; }
+    button, .button { background: #10b981; color: white; border: none; padding: 9px 18px; border-radius: 8px; font-weight: 600; cursor: pointer; text-decoration: none; display: inline-block; font-size: 14px; }
+    .button.secondary { background: #64748b; }
+    .notice { padding: 12px 16px; border-radius: 8px; margin-bottom: 20px; background: #dcfce7; color: #166534; }
+    .notice.error { background: #fee2e2; color: #991b1b; }
+    .pagination { display: flex; gap: 10px; margin-top: 16px; align-items: center; }
+  </style>
+</head>
+<body>
+  <header>
+    <a href="/admin">📋 Tax And Taxes Admin</a>
+    ${admin ? `
+    <form method="post" action="/admin/logout" style="margin: 0; display: flex; gap: 12px; align-items: center;">
+      <span>${escapeHtml(admin.id)} (${escapeHtml(admin.role)})</span>
+      <button type="submit" class="button secondary">Log out</button>
+    </form>
+    ` : ''}
+  </header>
+  <main>
+    ${body}
+  </main>
+</body>
+</html>`;
+
+const renderLoginPage = ({ error = null } = {}) => layout({
+  title: 'Sign in',
+  body: `
+    <div class="card" style="max-width: 420px; margin: 60px auto;">
+      <h2 style="margin-top: 0;">🔐 Staff sign in</h2>
+      ${error ? `<div class="notice error">${escapeHtml(error)}</div>` : ''}
+      <form method="post" action="/admin/login">
+        <p><label for="apiKey">Admin API key</label></p>
+        <p><input id="apiKey" name="apiKey" type="password" autocomplete="current-password" required style="width: 100%; box-sizing: border-box;"></p>
+        <p><button type="submit">Sign in</button></p>
+      </form>
+    </div>
+  `
+});
+
+const selectOptions = (options, selected) => options
+  .map(({ value, label }) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+  .join('');
+
+const renderSubmissionList = ({ admin, rows, filters, services, page, totalPages, total }) => {
+  const query = (overrides) => new URLSearchParams({ ...filters, ...overrides }).toString();
+
+  return layout({
+    title: 'Submissions',
+    admin,
+    body: `
+      <div class="card">
+        <form method="get" action="/admin" class="filters">
+          <input type="search" name="q" value="${escapeHtml(filters.q)}" placeholder="Client ID, name, email or phone" style="flex: 1; min-width: 240px;">
+          <select name="service">
+            ${selectOptions([{ value: '', label: 'All services' }, ...services.map(service => ({ value: service, label: service }))], filters.service)}
+          </select>
+          <select name="payment">
+            ${selectOptions([
+              { value: '', label: 'Any payment state' },
+              { value: 'PAID', label: 'Paid' },
+              { value: 'UNVERIFIED', label: 'Unverified' },
+              { value: 'UNPAID', label: 'Unpaid inquiry' },
+              { value: 'PARTIALLY_REFUNDED', label: 'Partially refunded' },
+              { value: 'REFUNDED', label: 'Refunded' }
+            ], filters.payment)}
+          </select>
+          <select name="email">
+            ${selectOptions([
+              { value: '', label: 'Any email state' },
+              { value: 'sent', label: 'Sent' },
+              { value: 'retrying', label: 'Retrying' },
+              { value: 'failed', label: 'Failed' },
+              { value: 'pending', label: 'Pending' }
+            ], filters.email)}
+          </select>
+          <button type="submit">Search</button>
+          <a class="button secondary" href="/admin">Reset</a>
+        </form>
+      </div>
+
+      <div class="card">
+        <p class="muted" style="margin-top: 0;">${total} submission${total === 1 ? '' : 's'}</p>
+        <table>
+          <thead>
+            <tr>
+              <th>Client ID</th>
+              <th>Received</th>
+              <th>Customer</th>
+              <th>Service</th>
+              <th>Payment</th>
+              <th>Email</th>
+              <th>Docs</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.length === 0 ? `<tr><td colspan="7" class="muted">No submissions match these filters.</td></tr>` : rows.map(row => `
+            <tr>
+              <td><a class="mono" href="/admin/submissions/${encodeURIComponent(row.clientId)}">${escapeHtml(row.clientId)}</a></td>
+              <td>${escapeHtml(formatDate(row.createdAt))}</td>
+              <td>${escapeHtml(row.name)}<br><span class="muted">${escapeHtml(row.email)} · ${escapeHtml(row.phone)}</span></td>
+              <td>${escapeHtml(row.service)}</td>
+              <td>${statusBadge(row.paymentStatus)}${row.amount ? `<br><span class="muted">₹${escapeHtml(row.amount)}</span>` : ''}</td>
+              <td>${statusBadge(row.emailStatus)}${row.retryCount ? `<br><span class="muted">${escapeHtml(row.retryCount)} retries</span>` : ''}</td>
+              <td>${escapeHtml(row.documentCount)}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${totalPages > 1 ? `
+        <div class="pagination">
+          ${page > 1 ? `<a class="button secondary" href="/admin?${escapeHtml(query({ page: page - 1 }))}">← Previous</a>` : ''}
+          <span class="muted">Page ${page} of ${totalPages}</span>
+          ${page < totalPages ? `<a class="button secondary" href="/admin?${escapeHtml(query({ page: page + 1 }))}">Next →</a>` : ''}
+        </div>
+        ` : ''}
+      </div>
+    `
+  });
+};
+
+const detailRow = (label, value) => `
+  <tr>
+    <th style="width: 30%;">${escapeHtml(label)}</th>
+    <td>${value}</td>
+  </tr>`;
+
+const renderSubmissionDetail = ({ admin, submission, order, refunds, paymentStatus, progress, stages, documentTypes, notice = null }) => {
+  const { formData, paymentInfo, email = {}, documents = [], uploadRequests = [] } = submission;
+  const canOperate = admin.role === 'operator';
+  const history = submission.stageHistory || [];
+  const nextStages = stages.slice(stages.findIndex(item => item.stage === progress.stage) + 1);
+
+  return layout({
+    title: submission.clientId,
+    admin,
+    body: `
+      <p><a href="/admin">← All submissions</a></p>
+      ${notice ? `<div class="notice${notice.error ? ' error' : ''}">${escapeHtml(notice.message)}</div>` : ''}
+
+      <div class="card">
+        <h2 style="margin-top: 0;">Client ID: <span class="mono">${escapeHtml(submission.clientId)}</span></h2>
+        <table>
+          ${detailRow('Received', escapeHtml(formatDate(submission.createdAt)))}
+          ${detailRow('Name', escapeHtml(formData.name))}
+          ${detailRow('Email', `<a href="mailto:${escapeHtml(formData.email)}">${escapeHtml(formData.email)}</a>`)}
+          ${detailRow('Phone', escapeHtml(formData.phone))}
+          ${detailRow('Service', escapeHtml(formData.service))}
+          ${submission.status ? detailRow('Status', statusBadge(submission.status)) : ''}
+          ${detailRow('Message', escapeHtml(formData.message || '-'))}
+        </table>
+      </div>
+
+      <div class="card">
+        <h3 style="margin-top: 0;">📋 Progress</h3>
+        <table>
+          ${detailRow('Stage', statusBadge(progress.label))}
+          ${progress.acknowledgementNumber ? detailRow('Acknowledgement No.', `<span class="mono">${escapeHtml(progress.acknowledgementNumber)}</span>`) : ''}
+        </table>
+        ${history.length > 0 ? `
+        <h4>History</h4>
+        <table>
+          <thead><tr><th>Stage</th><th>At</th><th>By</th><th>Note to customer</th></tr></thead>
+          <tbody>
+            ${history.map(entry => `
+            <tr>
+              <td>${escapeHtml(stages.find(item => item.stage === entry.stage)?.label || entry.stage)}</td>
+              <td>${escapeHtml(formatDate(entry.at))}</td>
+              <td>${escapeHtml(entry.by || 'automatic')}</td>
+              <td class="muted">${escapeHtml(entry.note || '')}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
+        ${canOperate && !progress.cancelled && nextStages.length > 0 ? `
+        <form method="post" action="/admin/submissions/${encodeURIComponent(submission.clientId)}/stage" class="filters" style="margin-top: 16px;">
+          <select name="stage">
+            ${nextStages.map(item => `<option value="${escapeHtml(item.stage)}">${escapeHtml(item.label)}</option>`).join('')}
+          </select>
+          <input type="text" name="acknowledgementNumber" placeholder="Acknowledgement no. (ITR filed)" maxlength="20">
+          <input type="text" name="note" placeholder="Note to customer (optional)" maxlength="500" style="flex: 1;">
+          <button type="submit">Update stage and email customer</button>
+        </form>
+        ` : ''}
+      </div>
+
+      <div class="card">
+        <h3 style="margin-top: 0;">💳 Payment</h3>
+        <table>
+          ${detailRow('Status', statusBadge(paymentStatus))}
+          ${paymentInfo ? `
+            ${detailRow('Amount', `₹${escapeHtml(order?.paymentAmount ?? paymentInfo.amount)}`)}
+            ${detailRow('Order ID', `<span class="mono">${escapeHtml(paymentInfo.orderId)}</span>`)}
+            ${detailRow('Payment ID', `<span class="mono">${escapeHtml(paymentInfo.paymentId || '-')}</span>`)}
+            ${detailRow('Verified by', escapeHtml(paymentInfo.verificationSource || (paymentInfo.verified ? 'server' : 'not verified')))}
+            ${order?.refundedAmount ? detailRow('Refunded', `₹${escapeHtml(order.refundedAmount)}`) : ''}
+            ${submission.invoiceNumber ? detailRow('Invoice', `<a class="mono" href="/admin/submissions/${encodeURIComponent(submission.clientId)}/invoice">${escapeHtml(submission.invoiceNumber)}</a>`) : ''}
+          ` : ''}
+        </table>
+        ${refunds.length > 0 ? `
+        <h4>Refunds</h4>
+        <table>
+          <thead><tr><th>Refund ID</th><th>Amount</th><th>Status</th><th>Operator</th><th>Reason</th><th>Issued</th></tr></thead>
+          <tbody>
+            ${refunds.map(refund => `
+            <tr>
+              <td class="mono">${escapeHtml(refund.refundId)}</td>
+              <td>₹${escapeHtml(refund.amount)}</td>
+              <td>${statusBadge(refund.status)}</td>
+              <td>${escapeHtml(refund.operator)}</td>
+              <td>${escapeHtml(refund.reason)}</td>
+              <td>${escapeHtml(formatDate(refund.createdAt))}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
+      </div>
+
+      <div class="card">
+        <h3 style="margin-top: 0;">📧 Email delivery</h3>
+        <table>
+          ${detailRow('Status', statusBadge(email.status))}
+          ${detailRow('Retries', escapeHtml(email.retryCount || 0))}
+          ${email.nextRetryAt && email.status === 'retrying' ? detailRow('Next retry', escapeHtml(formatDate(email.nextRetryAt))) : ''}
+          ${email.lastError ? detailRow('Last error', escapeHtml(email.lastError)) : ''}
+        </table>
+        ${(email.attempts || []).length > 0 ? `
+        <h4>Attempts</h4>
+        <table>
+          <thead><tr><th>#</th><th>Message</th><th>At</th><th>Result</th><th>Error</th></tr></thead>
+          <tbody>
+            ${email.attempts.map((attempt, index) => `
+            <tr>
+              <td>${index + 1}</td>
+              <td>${escapeHtml(attempt.kind || '-')}</td>
+              <td>${escapeHtml(formatDate(attempt.at))}</td>
+              <td>${attempt.success ? '✅ Sent' : '❌ Failed'}</td>
+              <td class="muted">${escapeHtml(attempt.error || '')}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
+        ${(email.messages || []).length > 0 ? `
+        <h4>Messages</h4>
+        <table>
+          <thead><tr><th>Message</th><th>To</th><th>Status</th><th>Attempts</th></tr></thead>
+          <tbody>
+            ${email.messages.map(message => `
+            <tr>
+              <td>${escapeHtml(message.kind)}</td>
+              <td>${escapeHtml(message.to)}</td>
+              <td>${statusBadge(message.status)}</td>
+              <td>${escapeHtml(message.attempts)}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
+        ${canOperate && ['retrying', 'failed'].includes(email.status) ? `
+        <form method="post" action="/admin/submissions/${encodeURIComponent(submission.clientId)}/retry-email" style="margin-top: 16px;">
+          <button type="submit">🔄 Retry emails now</button>
+        </form>
+        ` : ''}
+      </div>
+
+      <div class="card">
+        <h3 style="margin-top: 0;">📎 Documents (${documents.length})</h3>
+        <table>
+          <thead><tr><th>Type</th><th>File</th><th>Size</th><th>Added</th><th></th></tr></thead>
+          <tbody>
+            ${documents.length === 0 ? `<tr><td colspan="5" class="muted">No documents uploaded.</td></tr>` : documents.map((document, index) => `
+            <tr>
+              <td>${escapeHtml(document.fieldname)}</td>
+              <td>${escapeHtml(document.originalname)}</td>
+              <td>${escapeHtml(formatSize(document.size))}</td>
+              <td class="muted">${document.uploadedAt ? escapeHtml(formatDate(document.uploadedAt)) : 'With submission'}</td>
+              <td>${document.available
+                ? `<a href="/admin/submissions/${encodeURIComponent(submission.clientId)}/documents/${index}">Download</a>`
+                : '<span class="muted">Deleted</span>'}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${uploadRequests.length > 0 ? `
+        <h4>Document requests</h4>
+        <table>
+          <thead><tr><th>Requested</th><th>Documents</th><th>By</th><th>Link expires</th><th>Uploads</th></tr></thead>
+          <tbody>
+            ${uploadRequests.map(request => `
+            <tr>
+              <td>${escapeHtml(formatDate(request.createdAt))}</td>
+              <td>${escapeHtml(request.documents.map(key => documentTypes[key]?.label || key).join(', '))}${request.note ? `<div class="muted">${escapeHtml(request.note)}</div>` : ''}</td>
+              <td>${escapeHtml(request.by)}</td>
+              <td>${escapeHtml(formatDate(request.expiresAt))}</td>
+              <td>${escapeHtml((request.uploads || []).reduce((count, upload) => count + upload.documentIds.length, 0))}</td>
+            </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
+        ${canOperate && submission.status !== 'CANCELLED' ? `
+        <form method="post" action="/admin/submissions/${encodeURIComponent(submission.clientId)}/document-requests" style="margin-top: 16px;">
+          <div class="filters">
+            ${Object.entries(documentTypes).map(([key, type]) => `
+            <label><input type="checkbox" name="documents" value="${escapeHtml(key)}"> ${escapeHtml(type.label)}</label>
+            `).join('')}
+          </div>
+          <div class="filters" style="margin-top: 8px;">
+            <input type="text" name="note" placeholder="Note to customer, e.g. the Form 16 photo is blurry (optional)" maxlength="500" style="flex: 1;">
+            <button type="submit">Request documents and email customer</button>
+          </div>
+        </form>
+        ` : ''}
+      </div>
+    `
+  });
+};
+
+module.exports = {
+  renderLoginPage,
+  renderSubmissionList,
+  renderSubmissionDetail
+};